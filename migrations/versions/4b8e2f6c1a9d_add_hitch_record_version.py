@@ -0,0 +1,26 @@
+"""Add version to hitch records for conflict detection
+
+Revision ID: 4b8e2f6c1a9d
+Revises: 7c3f9a1d5b2e
+Create Date: 2026-10-19 12:00:00.000000
+
+"""
+from alembic import op
+import sqlalchemy as sa
+
+
+# revision identifiers, used by Alembic.
+revision = '4b8e2f6c1a9d'
+down_revision = '7c3f9a1d5b2e'
+branch_labels = None
+depends_on = None
+
+
+def upgrade():
+    with op.batch_alter_table('hitch_records', schema=None) as batch_op:
+        batch_op.add_column(sa.Column('version', sa.Integer(), server_default='1', nullable=False))
+
+
+def downgrade():
+    with op.batch_alter_table('hitch_records', schema=None) as batch_op:
+        batch_op.drop_column('version')
@@ -0,0 +1,28 @@
+"""Add per-user salts for the offline storage key
+
+Revision ID: 9d2a6e4b7f13
+Revises: 4b8e2f6c1a9d
+Create Date: 2026-10-19 18:00:00.000000
+
+"""
+from alembic import op
+import sqlalchemy as sa
+
+
+# revision identifiers, used by Alembic.
+revision = '9d2a6e4b7f13'
+down_revision = '4b8e2f6c1a9d'
+branch_labels = None
+depends_on = None
+
+
+def upgrade():
+    with op.batch_alter_table('users', schema=None) as batch_op:
+        batch_op.add_column(sa.Column('storage_salt', sa.String(length=64), nullable=True))
+        batch_op.add_column(sa.Column('storage_salt_previous', sa.String(length=64), nullable=True))
+
+
+def downgrade():
+    with op.batch_alter_table('users', schema=None) as batch_op:
+        batch_op.drop_column('storage_salt_previous')
+        batch_op.drop_column('storage_salt')
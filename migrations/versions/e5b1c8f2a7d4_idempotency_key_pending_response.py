@@ -0,0 +1,32 @@
+"""Allow idempotency keys without a stored response
+
+Keys are now reserved in the same transaction as the write and get their
+response afterwards.
+
+Revision ID: e5b1c8f2a7d4
+Revises: 9d2a6e4b7f13
+Create Date: 2026-10-19 20:00:00.000000
+
+"""
+from alembic import op
+import sqlalchemy as sa
+
+
+# revision identifiers, used by Alembic.
+revision = 'e5b1c8f2a7d4'
+down_revision = '9d2a6e4b7f13'
+branch_labels = None
+depends_on = None
+
+
+def upgrade():
+    with op.batch_alter_table('idempotency_keys', schema=None) as batch_op:
+        batch_op.alter_column('status_code', existing_type=sa.Integer(), nullable=True)
+        batch_op.alter_column('response_body', existing_type=sa.Text(), nullable=True)
+
+
+def downgrade():
+    op.execute('DELETE FROM idempotency_keys WHERE status_code IS NULL')
+    with op.batch_alter_table('idempotency_keys', schema=None) as batch_op:
+        batch_op.alter_column('response_body', existing_type=sa.Text(), nullable=False)
+        batch_op.alter_column('status_code', existing_type=sa.Integer(), nullable=False)
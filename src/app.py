@@ -2,7 +2,7 @@
 
 import os
 from dotenv import load_dotenv
-from flask import Flask, render_template, request, g, jsonify, flash, redirect, url_for
+from flask import Flask, render_template, request, g, jsonify, flash, redirect, url_for, send_from_directory
 from flask_login import LoginManager, login_required, current_user
 from flask_wtf.csrf import CSRFProtect
 from flask_limiter import Limiter
@@ -162,6 +162,15 @@ def create_app(config_name: str | None = None) -> Flask:
                 "error": str(e),
             }), 503
 
+    # Service worker must be served from the root so its scope covers every page
+    @app.route("/sw.js")
+    def service_worker():
+        """Service worker script for offline app-shell caching."""
+        response = send_from_directory(app.static_folder, "js/sw.js", mimetype="application/javascript")
+        response.headers["Cache-Control"] = "no-cache"
+        response.headers["Service-Worker-Allowed"] = "/"
+        return response
+
     # Note: db.create_all() removed - use migrations instead
 
     # Register blueprints
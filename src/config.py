@@ -23,6 +23,13 @@ class Config:
     # Data files
     SOUNDING_TABLES_PATH = BASE_DIR / "data" / "sounding_tables.json"
 
+    # Dashboard live refresh
+    DASHBOARD_REFRESH_SECONDS = int(os.environ.get("DASHBOARD_REFRESH_SECONDS", 60))
+    DASHBOARD_STALE_MINUTES = int(os.environ.get("DASHBOARD_STALE_MINUTES", 10))  # Banner once data is older
+
+    # Fuel endurance forecast - warn once fuel on board is down to this
+    FUEL_RESERVE_GALLONS = float(os.environ.get("FUEL_RESERVE_GALLONS", 20000))
+
     # Security settings
     WTF_CSRF_ENABLED = True
     WTF_CSRF_TIME_LIMIT = 3600  # 1 hour
@@ -32,6 +32,11 @@ class User(UserMixin, db.Model):
     # Session persistence
     last_login: datetime = db.Column(db.DateTime, nullable=True)
 
+    # Offline storage key salts (random, rotatable). The previous salt is kept so data
+    # wrapped under the old key can be rewrapped; "" means the unsalted key from before salts.
+    storage_salt: str = db.Column(db.String(64), nullable=True)
+    storage_salt_previous: str = db.Column(db.String(64), nullable=True)
+
     # Metadata
     created_at: datetime = db.Column(
         db.DateTime, nullable=False, default=lambda: datetime.now(UTC)
@@ -450,6 +455,9 @@ class HitchRecord(db.Model):
     is_start: bool = db.Column(db.Boolean, default=True)  # True = start of hitch, False = end
     end_date: datetime = db.Column(db.DateTime, nullable=True)  # When hitch ended
 
+    # Bumped on every edit - clients send it back (If-Match) so stale edits get a 409
+    version: int = db.Column(db.Integer, nullable=False, default=1, server_default="1")
+
     # Metadata
     created_at: datetime = db.Column(
         db.DateTime, nullable=False, default=lambda: datetime.now(UTC)
@@ -504,6 +512,29 @@ class HitchRecord(db.Model):
             "engineer_name": self.engineer_name,
             "is_start": self.is_start,
             "end_date": self.end_date.isoformat() if self.end_date else None,
+            "version": self.version,
             "created_at": self.created_at.isoformat(),
         }
 
+
+
+class IdempotencyKey(db.Model):
+    """Stored response for a client write, replayed when the same request is retried."""
+
+    __tablename__ = "idempotency_keys"
+    __table_args__ = (db.UniqueConstraint("user_id", "key", name="uq_idempotency_user_key"),)
+
+    id: int = db.Column(db.Integer, primary_key=True)
+    key: str = db.Column(db.String(64), nullable=False)
+    user_id: int = db.Column(db.Integer, db.ForeignKey("users.id"), nullable=False)
+    method: str = db.Column(db.String(10), nullable=False)
+    path: str = db.Column(db.String(255), nullable=False)
+
+    # Original response - empty while the write is in progress, or if it was lost after commit
+    status_code: int = db.Column(db.Integer, nullable=True)
+    response_body: str = db.Column(db.Text, nullable=True)
+
+    # Metadata
+    created_at: datetime = db.Column(
+        db.DateTime, nullable=False, default=lambda: datetime.now(UTC), index=True
+    )
@@ -1,14 +1,15 @@
 """API routes for Oil Record Book Tool."""
 
-from datetime import datetime, UTC
+from datetime import datetime, timedelta, UTC
 from functools import wraps
-from flask import Blueprint, current_app, jsonify, request
+from flask import Blueprint, current_app, jsonify, make_response, request
 from flask_login import login_required, current_user
+from sqlalchemy import inspect as sa_inspect
 
 from models import (
     WeeklySounding, ORBEntry, DailyFuelTicket, ServiceTankConfig,
     StatusEvent, EquipmentStatus, OilLevel, HitchRecord, FuelTankSounding,
-    EQUIPMENT_LIST, db, UserRole
+    IdempotencyKey, EQUIPMENT_LIST, db, UserRole
 )
 from services.sounding_service import SoundingService
 from services.orb_service import ORBService
@@ -57,6 +58,138 @@ def require_role(route_type: str):
     return decorator
 
 
+IDEMPOTENCY_HEADER = "Idempotency-Key"
+IDEMPOTENCY_KEY_MAX_LENGTH = 64
+IDEMPOTENCY_TTL = timedelta(hours=24)
+
+
+def idempotent(f):
+    """
+    Decorator to make a write safe to replay.
+
+    A request carrying an Idempotency-Key header that was already answered
+    successfully for this user gets the original response back instead of
+    being processed again (queued offline writes are retried after timeouts
+    the server may already have handled).
+
+    The key is added to the handler's own transaction, so it is committed
+    together with the write: a concurrent retry with the same key fails its
+    commit on the unique (user_id, key) constraint, and a committed write
+    always has its key on record. The response is stored afterwards.
+    """
+    @wraps(f)
+    def decorated_function(*args, **kwargs):
+        key = request.headers.get(IDEMPOTENCY_HEADER)
+        if not key:
+            return f(*args, **kwargs)
+        if len(key) > IDEMPOTENCY_KEY_MAX_LENGTH:
+            return jsonify({"error": f"{IDEMPOTENCY_HEADER} too long"}), 400
+
+        cutoff = datetime.now(UTC) - IDEMPOTENCY_TTL
+        existing = IdempotencyKey.query.filter(
+            IdempotencyKey.user_id == current_user.id,
+            IdempotencyKey.key == key,
+            IdempotencyKey.created_at >= cutoff,
+        ).first()
+
+        if existing:
+            if existing.method != request.method or existing.path != request.path:
+                return jsonify({
+                    "error": f"{IDEMPOTENCY_HEADER} already used for a different request"
+                }), 422
+            logger.info(f"Replaying {request.method} {request.path} for key {key}")
+            if existing.status_code is None:
+                # The write was committed but its response was never stored
+                response = jsonify({"success": True, "message": "Already processed"})
+            else:
+                response = current_app.response_class(
+                    existing.response_body,
+                    status=existing.status_code,
+                    mimetype="application/json",
+                )
+            response.headers["Idempotent-Replayed"] = "true"
+            return response
+
+        # Expired keys (this one included) make way for the new reservation
+        IdempotencyKey.query.filter(IdempotencyKey.created_at < cutoff).delete(synchronize_session=False)
+        reservation = IdempotencyKey(
+            key=key,
+            user_id=current_user.id,
+            method=request.method,
+            path=request.path,
+        )
+        db.session.add(reservation)
+
+        try:
+            response = make_response(f(*args, **kwargs))
+        except Exception:
+            db.session.rollback()
+            raise
+
+        # Only successful writes are remembered - errors can be retried as-is
+        if not 200 <= response.status_code < 300:
+            db.session.rollback()
+            # Still persistent only if the handler committed it before failing
+            if sa_inspect(reservation).persistent:
+                db.session.delete(reservation)
+                db.session.commit()
+            return response
+
+        if response.is_json:
+            try:
+                db.session.add(reservation)
+                reservation.status_code = response.status_code
+                reservation.response_body = response.get_data(as_text=True)
+                db.session.commit()
+            except Exception:
+                db.session.rollback()
+                logger.exception(f"Failed to store response for idempotency key {key}")
+
+        return response
+    return decorated_function
+
+
+# --- Optimistic Concurrency (ETag / If-Match) ---
+
+
+def if_match_failed(etag: str) -> bool:
+    """True when the request sent If-Match and none of its tags is the current ETag."""
+    header = request.headers.get("If-Match")
+    if not header or header.strip() == "*":
+        return False
+    return etag not in [tag.strip() for tag in header.split(",")]
+
+
+def diff_fields(mine: dict, theirs: dict, path: str = "") -> list:
+    """
+    Fields of a request body that differ from the server's copy, as dotted paths
+    into the body (nested objects are compared field by field, lists as a whole).
+    """
+    fields = []
+    for key, value in mine.items():
+        field_path = f"{path}{key}"
+        current = theirs.get(key) if isinstance(theirs, dict) else None
+        if isinstance(value, dict) and isinstance(current, dict):
+            fields.extend(diff_fields(value, current, f"{field_path}."))
+        elif value != current:
+            fields.append({"path": field_path, "mine": value, "theirs": current})
+    return fields
+
+
+def conflict_response(message: str, etag: str, fields: list):
+    """409 for a write based on an outdated version, with the current version and what differs."""
+    response = jsonify({"error": message, "conflict": {"version": etag, "fields": fields}})
+    response.status_code = 409
+    response.headers["ETag"] = etag
+    return response
+
+
+def with_etag(response, etag: str):
+    """Attach an ETag header to a response."""
+    response.headers["ETag"] = etag
+    return response
+
+
 # --- Health Check (for offline connectivity verification) ---
 
 
@@ -64,7 +197,9 @@ def require_role(route_type: str):
 def health_check():
     """Health check endpoint for connectivity verification.
     
-    Used by offline.js to verify actual connectivity (navigator.onLine can be unreliable).
+    Used by the offline.js heartbeat to verify actual connectivity and measure latency
+    (navigator.onLine can be unreliable). Anything other than this JSON body - a redirect
+    or a captive portal page - is treated as offline.
     Returns minimal response for efficiency on slow connections.
     """
     return jsonify({"status": "ok"}), 200
@@ -81,15 +216,24 @@ def get_tanks():
     tanks = {}
     for tank_id in service.tank_ids:
         info = service.get_tank_info(tank_id)
+        max_feet, max_inches = max(service.get_available_soundings(tank_id))
         tanks[tank_id] = {
             "name": info["name"],
             "orb_code": info["orb_code"],
             "capacity_gallons": info["capacity_gallons"],
             "capacity_m3": info["capacity_m3"],
+            # Deepest sounding in the table - clients validate readings against it
+            "max_sounding": {"feet": max_feet, "inches": max_inches},
         }
     return jsonify(tanks)
 
 
+@api_bp.route("/tanks/tables", methods=["GET"])
+def get_sounding_tables():
+    """Get the full sounding tables so clients can convert soundings offline."""
+    return jsonify(get_sounding_service().export_tables())
+
+
 @api_bp.route("/tanks/<tank_id>/lookup", methods=["GET"])
 def lookup_sounding(tank_id: str):
     """Look up volume for a sounding."""
@@ -102,7 +246,8 @@ def lookup_sounding(tank_id: str):
     try:
         service = get_sounding_service()
         result = service.lookup(tank_id, feet, inches)
-        return jsonify(result)
+        # Lets offline clients detect a stale local copy of the tables
+        return jsonify({**result, "tables_version": service.version})
     except ValueError as e:
         return jsonify({"error": str(e)}), 400
 
@@ -132,6 +277,7 @@ def get_latest_sounding():
 
 @api_bp.route("/soundings", methods=["POST"])
 @require_role("write")
+@idempotent
 def create_sounding():
     """
     Create a new weekly sounding and generate ORB entries.
@@ -306,6 +452,7 @@ def get_active_service_tank():
 
 @api_bp.route("/service-tanks/active", methods=["POST"])
 @require_role("write")
+@idempotent
 def set_active_service_tank():
     """
     Set the active service tank pair.
@@ -373,6 +520,7 @@ def get_latest_fuel_ticket():
 
 @api_bp.route("/fuel-tickets", methods=["POST"])
 @require_role("write")
+@idempotent
 def create_fuel_ticket():
     """
     Create a new daily fuel ticket.
@@ -498,6 +646,7 @@ def get_latest_status_events():
 
 @api_bp.route("/status-events", methods=["POST"])
 @require_role("write")
+@idempotent
 def create_status_event():
     """
     Create a new status event.
@@ -545,6 +694,41 @@ def create_status_event():
 # --- Equipment Status ---
 
 
+def equipment_etag() -> str:
+    """ETag for the equipment board - changes with every status written."""
+    latest = EquipmentStatus.query.order_by(EquipmentStatus.id.desc()).first()
+    return f'"equipment-{latest.id if latest else 0}"'
+
+
+def equipment_conflicts(updates: list) -> list:
+    """Status/note values in a bulk update that differ from the current board."""
+    fields = []
+    for index, update in enumerate(updates):
+        equip_id = update.get("equipment_id")
+        if not any(e["id"] == equip_id for e in EQUIPMENT_LIST):
+            continue
+        current = EquipmentStatus.query.filter_by(
+            equipment_id=equip_id
+        ).order_by(EquipmentStatus.updated_at.desc()).first()
+        theirs = {
+            "status": current.status if current else "online",
+            "note": current.note if current else None,
+        }
+        mine = {
+            "status": update.get("status", "online"),
+            "note": update.get("note") or None,
+        }
+        for field in ("status", "note"):
+            if mine[field] != theirs[field]:
+                fields.append({
+                    "path": f"updates.{index}.{field}",
+                    "label": f"{equip_id} {field}",
+                    "mine": mine[field],
+                    "theirs": theirs[field],
+                })
+    return fields
+
+
 @api_bp.route("/equipment", methods=["GET"])
 def get_equipment_list():
     """Get list of all equipment with current status."""
@@ -564,7 +748,7 @@ def get_equipment_list():
             "updated_by": status.updated_by if status else None,
         })
 
-    return jsonify(result)
+    return with_etag(jsonify(result), equipment_etag())
 
 
 @api_bp.route("/equipment/<equipment_id>", methods=["GET"])
@@ -590,6 +774,7 @@ def get_equipment_status(equipment_id: str):
 
 @api_bp.route("/equipment/<equipment_id>", methods=["POST"])
 @require_role("write")
+@idempotent
 def update_equipment_status(equipment_id: str):
     """
     Update equipment status.
@@ -654,6 +839,7 @@ def update_equipment_status(equipment_id: str):
 
 @api_bp.route("/equipment/bulk", methods=["POST"])
 @require_role("write")
+@idempotent
 def update_equipment_bulk():
     """
     Bulk update equipment statuses.
@@ -666,11 +852,23 @@ def update_equipment_bulk():
         ],
         "updated_by": "DP"
     }
+
+    Send the board's ETag (GET /equipment, or equipment_version from
+    /dashboard/full) as If-Match; if the board changed since, nothing is
+    written and 409 lists the statuses that differ.
     """
     data = request.get_json()
     if not data or "updates" not in data or "updated_by" not in data:
         return jsonify({"error": "updates and updated_by required"}), 400
 
+    etag = equipment_etag()
+    if if_match_failed(etag):
+        fields = equipment_conflicts(data["updates"])
+        if fields:
+            return conflict_response(
+                "Equipment status was changed by someone else since you loaded it", etag, fields
+            )
+
     try:
         now = datetime.now(UTC)
         results = []
@@ -701,7 +899,8 @@ def update_equipment_bulk():
             results.append(status)
 
         db.session.commit()
-        return jsonify({"updated": len(results)}), 201
+        etag = equipment_etag()
+        return with_etag(jsonify({"updated": len(results), "version": etag}), etag), 201
 
     except Exception as e:
         db.session.rollback()
@@ -728,6 +927,17 @@ def get_full_dashboard():
     fuel_weekly = FuelService.get_weekly_summary(tickets)
     active_tank = ServiceTankConfig.query.filter_by(deactivated_at=None).first()
 
+    # Endurance forecast from the current hitch's starting fuel
+    hitch = HitchRecord.query.filter_by(end_date=None, is_start=True).order_by(
+        HitchRecord.date.desc()
+    ).first()
+    fuel_forecast = FuelService.forecast_endurance(
+        hitch.total_fuel_gallons,
+        hitch.date,
+        tickets,
+        current_app.config["FUEL_RESERVE_GALLONS"],
+    ) if hitch else None
+
     # Status events (sewage, potable)
     sewage = StatusEvent.query.filter_by(event_type="sewage_pump").order_by(
         StatusEvent.event_date.desc()
@@ -748,6 +958,7 @@ def get_full_dashboard():
             "status": status.status if status else "online",
             "note": status.note if status else None,
         })
+    equipment_version = equipment_etag()
 
     # ORB entries count
     orb_count = ORBEntry.query.count()
@@ -762,12 +973,14 @@ def get_full_dashboard():
             "weekly": fuel_weekly,
             "active_tank": active_tank.to_dict() if active_tank else None,
             "latest_ticket": tickets[0].to_dict() if tickets else None,
+            "forecast": fuel_forecast,
         },
         "status_events": {
             "sewage": sewage.to_dict() if sewage else None,
             "potable": potable.to_dict() if potable else None,
         },
         "equipment": equipment,
+        "equipment_version": equipment_version,
         "counts": {
             "soundings": soundings_count,
             "orb_entries": orb_count,
@@ -808,6 +1021,60 @@ def parse_hitch_image():
 # --- Hitch Management ---
 
 
+HITCH_SIMPLE_FIELDS = [
+    "vessel", "location", "charter", "fuel_on_log", "correction",
+    "total_fuel_gallons", "lube_oil_15p", "gear_oil_15s",
+    "lube_oil_16p", "hyd_oil_16s", "engineer_name"
+]
+
+
+def hitch_etag(hitch: HitchRecord) -> str:
+    """ETag for a hitch record - changes every time it is edited."""
+    return f'"hitch-{hitch.id}-v{hitch.version}"'
+
+
+def _fuel_tank_view(tank: dict) -> dict:
+    """A fuel tank as PUT /hitch/<id> takes it, with the same defaults the update applies."""
+    return {
+        "tank_number": str(tank.get("tank_number")),
+        "side": tank.get("side"),
+        "is_day_tank": bool(tank.get("is_day_tank", False)),
+        "sounding_feet": tank.get("sounding_feet"),
+        "sounding_inches": tank.get("sounding_inches"),
+        "water_present": tank.get("water_present", "None"),
+        "gallons": tank.get("gallons"),
+    }
+
+
+def _fuel_tanks_view(tanks: list) -> list:
+    return sorted(
+        (_fuel_tank_view(t) for t in tanks),
+        key=lambda t: (t["tank_number"], t["side"] or ""),
+    )
+
+
+def _hitch_edit_view(hitch: HitchRecord) -> dict:
+    """A hitch record in the shape PUT /hitch/<id> takes, to compare a request body against."""
+    return {
+        **{field: getattr(hitch, field) for field in HITCH_SIMPLE_FIELDS},
+        "draft_forward": {"feet": hitch.draft_forward_feet, "inches": hitch.draft_forward_inches},
+        "draft_aft": {"feet": hitch.draft_aft_feet, "inches": hitch.draft_aft_inches},
+        "slop_tanks": {
+            "17p_oily_bilge": {
+                "feet": hitch.oily_bilge_17p_feet,
+                "inches": hitch.oily_bilge_17p_inches,
+                "gallons": hitch.oily_bilge_17p_gallons,
+            },
+            "17s_dirty_oil": {
+                "feet": hitch.dirty_oil_17s_feet,
+                "inches": hitch.dirty_oil_17s_inches,
+                "gallons": hitch.dirty_oil_17s_gallons,
+            },
+        },
+        "fuel_tanks": _fuel_tanks_view([t.to_dict() for t in hitch.fuel_tanks]),
+    }
+
+
 @api_bp.route("/hitch/current", methods=["GET"])
 def get_current_hitch():
     """Get the current active hitch."""
@@ -815,7 +1082,7 @@ def get_current_hitch():
         HitchRecord.date.desc()
     ).first()
     if hitch:
-        return jsonify(hitch.to_dict())
+        return with_etag(jsonify(hitch.to_dict()), hitch_etag(hitch))
     return jsonify(None)
 
 
@@ -823,26 +1090,37 @@ def get_current_hitch():
 def get_hitch(hitch_id: int):
     """Get a specific hitch record with all details."""
     hitch = HitchRecord.query.get_or_404(hitch_id)
-    return jsonify(hitch.to_dict())
+    return with_etag(jsonify(hitch.to_dict()), hitch_etag(hitch))
 
 
 @api_bp.route("/hitch/<int:hitch_id>", methods=["PUT"])
 @require_role("admin")
+@idempotent
 def update_hitch(hitch_id: int):
-    """Update an existing hitch record (for end-of-hitch editing)."""
+    """
+    Update an existing hitch record (for end-of-hitch editing).
+
+    Send the record's ETag (or "version" from GET) as If-Match; if it was edited
+    since, nothing is written and 409 lists the fields that differ.
+    """
     hitch = HitchRecord.query.get_or_404(hitch_id)
     data = request.get_json()
 
     if not data:
         return jsonify({"error": "JSON body required"}), 400
 
+    etag = hitch_etag(hitch)
+    if if_match_failed(etag):
+        mine = dict(data)
+        if "fuel_tanks" in mine:
+            mine["fuel_tanks"] = _fuel_tanks_view(mine["fuel_tanks"])
+        fields = diff_fields(mine, _hitch_edit_view(hitch))
+        if fields:
+            return conflict_response("This hitch record was changed by someone else since you loaded it", etag, fields)
+
     try:
         # Update simple fields
-        for field in [
-            "vessel", "location", "charter", "fuel_on_log", "correction",
-            "total_fuel_gallons", "lube_oil_15p", "gear_oil_15s",
-            "lube_oil_16p", "hyd_oil_16s", "engineer_name"
-        ]:
+        for field in HITCH_SIMPLE_FIELDS:
             if field in data:
                 setattr(hitch, field, data[field])
 
@@ -887,8 +1165,9 @@ def update_hitch(hitch_id: int):
                 )
                 db.session.add(tank)
 
+        hitch.version = (hitch.version or 1) + 1
         db.session.commit()
-        return jsonify(hitch.to_dict())
+        return with_etag(jsonify(hitch.to_dict()), hitch_etag(hitch))
 
     except Exception as e:
         db.session.rollback()
@@ -897,6 +1176,7 @@ def update_hitch(hitch_id: int):
 
 @api_bp.route("/hitch/start", methods=["POST"])
 @require_role("admin")
+@idempotent
 def start_new_hitch():
     """
     Start a new hitch with complete End of Hitch Sounding Form data.
@@ -1073,6 +1353,7 @@ def start_new_hitch():
 
 @api_bp.route("/hitch/end", methods=["POST"])
 @require_role("admin")
+@idempotent
 def create_end_of_hitch():
     """
     Create end-of-hitch record (for printing/handover).
@@ -1171,6 +1452,7 @@ def create_end_of_hitch():
 
 @api_bp.route("/hitch/reset", methods=["POST"])
 @require_role("admin")
+@idempotent
 def reset_all_data():
     """
     Emergency reset - clears ALL data without creating new hitch.
@@ -1,5 +1,9 @@
 """Authentication routes for Oil Record Book Tool."""
 
+import base64
+import hashlib
+import hmac
+import secrets
 from datetime import datetime, UTC
 from flask import Blueprint, render_template, request, redirect, url_for, flash, jsonify, current_app
 from flask_login import login_user, logout_user, login_required, current_user
@@ -102,6 +106,65 @@ def current_user_api():
     })
 
 
+def _storage_key(user: User, salt: str | None) -> dict | None:
+    """Storage key for a user under one salt, with a short id the browser matches wrapped keys by.
+
+    Derived from the app secret, the user id and the salt, so data saved in an earlier session
+    can be unwrapped again after signing in - and only by an authenticated session of that user.
+    An empty salt gives the unsalted key used before salts existed.
+    """
+    if salt is None:
+        return None
+    message = f"orb-offline-storage:{user.id}" + (f":{salt}" if salt else "")
+    key = hmac.new(
+        current_app.config["SECRET_KEY"].encode(),
+        message.encode(),
+        hashlib.sha256,
+    ).digest()
+    return {
+        "key": base64.b64encode(key).decode(),
+        "key_id": hashlib.sha256(f"{user.id}:{salt}".encode()).hexdigest()[:16],
+    }
+
+
+def _storage_key_response(user: User):
+    """Current and previous storage keys, never cached."""
+    current = _storage_key(user, user.storage_salt)
+    response = jsonify({**current, "previous": _storage_key(user, user.storage_salt_previous)})
+    response.headers["Cache-Control"] = "no-store"
+    return response
+
+
+@auth_bp.route("/api/storage-key", methods=["GET"])
+@login_required
+def storage_key_api():
+    """Key the browser wraps this user's offline device key with (AES-GCM, 256-bit).
+
+    The first request gives the user a random salt; the unsalted key it replaces is returned
+    as "previous" so devices that stored data under it can rewrap.
+    """
+    if not current_user.storage_salt:
+        current_user.storage_salt = secrets.token_hex(32)
+        current_user.storage_salt_previous = ""
+        db.session.commit()
+    return _storage_key_response(current_user)
+
+
+@auth_bp.route("/api/storage-key/rotate", methods=["POST"])
+@login_required
+def rotate_storage_key_api():
+    """Replace this user's storage key salt.
+
+    The outgoing key stays available as "previous" until the next rotation, so each device
+    rewraps its key on the next sign-in. Devices that miss two rotations lose their offline data.
+    """
+    current_user.storage_salt_previous = current_user.storage_salt or ""
+    current_user.storage_salt = secrets.token_hex(32)
+    db.session.commit()
+    logger.info(f"Offline storage key rotated by '{current_user.username}'")
+    return _storage_key_response(current_user)
+
+
 @auth_bp.route("/api/check-auth", methods=["GET"])
 def check_auth():
     """API endpoint to check authentication status."""
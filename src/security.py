@@ -32,7 +32,7 @@ class SecurityConfig:
     # CORS settings
     CORS_ORIGINS = ["http://localhost:5001", "https://localhost:5001"]
     CORS_METHODS = ["GET", "POST", "PUT", "DELETE", "OPTIONS"]
-    CORS_HEADERS = ["Content-Type", "Authorization", "X-CSRFToken"]
+    CORS_HEADERS = ["Content-Type", "Authorization", "X-CSRFToken", "Idempotency-Key"]
 
     # Security headers
     SECURITY_HEADERS = {
@@ -48,10 +48,12 @@ class SecurityConfig:
     CSP_POLICY = (
         "default-src 'self'; "
         "script-src 'self' 'unsafe-inline' 'unsafe-eval'; "
-        "style-src 'self' 'unsafe-inline'; "
+        "style-src 'self' 'unsafe-inline' https://fonts.googleapis.com; "
         "img-src 'self' data: blob:; "
-        "font-src 'self'; "
-        "connect-src 'self'; "
+        "font-src 'self' https://fonts.gstatic.com; "
+        "connect-src 'self' https://fonts.googleapis.com https://fonts.gstatic.com; "
+        "worker-src 'self'; "
+        "manifest-src 'self'; "
         "frame-ancestors 'none'; "
         "base-uri 'self'; "
         "form-action 'self'"
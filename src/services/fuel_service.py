@@ -27,6 +27,17 @@ class FuelStatus(TypedDict):
 # Available service tank pairs (Port/Starboard pairs)
 SERVICE_TANK_PAIRS = ["7", "9", "11", "13", "14", "18"]
 
+# Days before the latest ticket averaged for the endurance forecast's burn rate
+FORECAST_WINDOW = 7
+
+# Recent burn this far above/below the hitch average counts as rising/falling
+TREND_THRESHOLD = 0.1
+
+
+def _days_between(start: datetime, end: datetime) -> float:
+    """Days from start to end, at least one so a rate over a short span stays sane."""
+    return max((end - start).total_seconds() / 86400, 1.0)
+
 
 class FuelService:
     """Service for fuel consumption calculations."""
@@ -143,6 +154,93 @@ class FuelService:
             if start_date <= t.ticket_date <= end_date
         ]
 
+    @staticmethod
+    def forecast_endurance(
+        starting_gallons: float,
+        start_date: datetime,
+        tickets: list,
+        reserve_gallons: float = 0.0,
+    ) -> dict:
+        """
+        Project how long the fuel on board will last.
+
+        Fuel remaining is the hitch's starting fuel less every ticket since the
+        hitch started. The burn rate is the fuel used over the last
+        FORECAST_WINDOW days (or since the hitch started, if sooner) divided by
+        those days - per calendar day, not per ticket, so gaps between tickets
+        and several tickets on one day don't skew it. Projections run from the
+        latest ticket's date.
+
+        Args:
+            starting_gallons: Fuel on board at the start of the hitch
+            start_date: Hitch start - earlier tickets are ignored
+            tickets: List of DailyFuelTicket objects (any order)
+            reserve_gallons: Fuel to keep in hand; below_reserve once remaining reaches it
+
+        Returns:
+            Forecast dict with a remaining-fuel history for charting. Rate,
+            trend and projections are None until there is a ticket to go on.
+        """
+        hitch_tickets = sorted(
+            (t for t in tickets if t.ticket_date >= start_date),
+            key=lambda t: t.ticket_date,
+        )
+        used = sum(t.consumption_gallons for t in hitch_tickets)
+        remaining = starting_gallons - used
+
+        # Fuel on board after each ticket, starting from the hitch
+        history = [{"date": start_date.isoformat(), "remaining_gallons": round(starting_gallons, 2)}]
+        level = starting_gallons
+        for t in hitch_tickets:
+            level -= t.consumption_gallons
+            history.append({"date": t.ticket_date.isoformat(), "remaining_gallons": round(level, 2)})
+
+        forecast = {
+            "starting_gallons": round(starting_gallons, 2),
+            "used_gallons": round(used, 2),
+            "remaining_gallons": round(remaining, 2),
+            "reserve_gallons": round(reserve_gallons, 2),
+            "below_reserve": remaining <= reserve_gallons,
+            "daily_rate": None,
+            "trend": None,
+            "as_of": None,
+            "days_remaining": None,
+            "empty_date": None,
+            "reserve_date": None,
+            "history": history,
+        }
+        if not hitch_tickets:
+            return forecast
+
+        as_of = hitch_tickets[-1].ticket_date
+        window_start = max(start_date, as_of - timedelta(days=FORECAST_WINDOW))
+        recent = [t for t in hitch_tickets if t.ticket_date > window_start]
+        rate = sum(t.consumption_gallons for t in recent) / _days_between(window_start, as_of)
+        hitch_rate = used / _days_between(start_date, as_of)
+        if rate > hitch_rate * (1 + TREND_THRESHOLD):
+            trend = "rising"
+        elif rate < hitch_rate * (1 - TREND_THRESHOLD):
+            trend = "falling"
+        else:
+            trend = "steady"
+
+        forecast.update(
+            daily_rate=round(rate, 2),
+            trend=trend,
+            as_of=as_of.isoformat(),
+        )
+        if rate <= 0:
+            return forecast
+
+        days_remaining = max(remaining, 0) / rate
+        days_to_reserve = max(remaining - reserve_gallons, 0) / rate
+        forecast.update(
+            days_remaining=round(days_remaining, 1),
+            empty_date=(as_of + timedelta(days=days_remaining)).isoformat(),
+            reserve_date=(as_of + timedelta(days=days_to_reserve)).isoformat(),
+        )
+        return forecast
+
     @staticmethod
     def get_weekly_summary(tickets: list) -> dict:
         """
@@ -1,5 +1,6 @@
 """Sounding table lookup and conversion service."""
 
+import hashlib
 import json
 from pathlib import Path
 from typing import TypedDict
@@ -30,12 +31,19 @@ class SoundingService:
 
     def __init__(self, tables_path: Path | str) -> None:
         """Load sounding tables from JSON file."""
-        with open(tables_path) as f:
-            data = json.load(f)
+        with open(tables_path, "rb") as f:
+            raw = f.read()
+        data = json.loads(raw)
 
         self._metadata = data["metadata"]
         self._tanks = data["tanks"]
 
+        # Explicit version in metadata wins; otherwise fingerprint the file so
+        # offline clients can tell when their downloaded copy is out of date
+        self._version = str(
+            self._metadata.get("version") or hashlib.sha256(raw).hexdigest()[:12]
+        )
+
         # Build lookup dictionaries for fast access
         self._lookup: dict[str, dict[tuple[int, int], int]] = {}
         for tank_id, tank_data in self._tanks.items():
@@ -93,6 +101,19 @@ class SoundingService:
             raise ValueError(f"Unknown tank: {tank_id}")
         return sorted(self._lookup[tank_id].keys())
 
+    def export_tables(self) -> dict:
+        """Get the full sounding tables for client-side (offline) lookup."""
+        return {
+            "version": self._version,
+            "metadata": self._metadata,
+            "tanks": self._tanks,
+        }
+
+    @property
+    def version(self) -> str:
+        """Get the sounding tables version."""
+        return self._version
+
     @property
     def tank_ids(self) -> list[str]:
         """Get list of available tank IDs."""
@@ -0,0 +1,276 @@
+/**
+ * Oil Record Book Tool - Fuel Ticket Anomaly Module
+ * Checks a new fuel ticket against recent history before it is recorded: consumption far from
+ * the norm, gaps or overlaps between ticket dates, meter readings that don't carry on from
+ * the last meter_end (allowing for the meter rolling over) and an end reading below the start.
+ */
+
+const ORBAnomalies = (function() {
+    const CONFIG = {
+        METER_ROLLOVER: 1000000,   // Totalizer wraps to 0 here (readings run 0 - 999999.9)
+        ROLLOVER_MARGIN: 10000,    // A last reading this close to the wrap and a start this close to 0 is a rollover
+        METER_TOLERANCE: 0.5,      // Gallons of slack before a start reading counts as not continuing
+        HISTORY_SIZE: 14,          // Recent tickets averaged for the norm
+        MIN_HISTORY: 3,            // Fewer tickets than this and there is no norm yet
+        HIGH_RATIO: 2,             // Per-day consumption above norm x this is flagged
+        LOW_RATIO: 0.4,            // ... and below norm x this
+        MAX_GAP_DAYS: 1,           // Days allowed between consecutive tickets
+        NOTES_MAX: 500             // DailyFuelTicket.notes length (the client rule matches)
+    };
+
+    const DAY = 24 * 60 * 60 * 1000;
+
+    // Prefix for the acknowledgment line written into ticket notes
+    const ACK_PREFIX = '[Ack]';
+
+    // ==========================================
+    // Meter
+    // ==========================================
+
+    /**
+     * Gallons between two readings, counting through a rollover when the end reading is lower
+     * @returns {{gallons: number, rollover: boolean}}
+     */
+    function meterDifference(start, end) {
+        if (end >= start) {
+            return { gallons: round(end - start), rollover: false };
+        }
+        return { gallons: round(CONFIG.METER_ROLLOVER - start + end), rollover: isRollover(start, end) };
+    }
+
+    /**
+     * A drop from near the top of the meter to near zero - the meter wrapped, not a bad reading
+     */
+    function isRollover(from, to) {
+        return from >= CONFIG.METER_ROLLOVER - CONFIG.ROLLOVER_MARGIN && to <= CONFIG.ROLLOVER_MARGIN;
+    }
+
+    // ==========================================
+    // Checks
+    // ==========================================
+
+    /**
+     * Warnings for a ticket about to be recorded
+     * @param {Object} ticket - { ticket_date, meter_start, meter_end } as posted
+     * @param {Object} history - { tickets: known tickets (server and pending), stats: /fuel-tickets/stats }
+     * @returns {Array<{code: string, label: string, message: string}>}
+     */
+    function check(ticket, history = {}) {
+        const date = new Date(ticket.ticket_date);
+        const start = Number(ticket.meter_start);
+        const end = Number(ticket.meter_end);
+        if (Number.isNaN(date.getTime()) || !Number.isFinite(start) || !Number.isFinite(end)) {
+            return [];
+        }
+
+        const tickets = (history.tickets || [])
+            .filter(t => t.ticket_date)
+            .slice()
+            .sort((a, b) => new Date(b.ticket_date) - new Date(a.ticket_date));
+        const previous = tickets.find(t => new Date(t.ticket_date) < date);
+
+        return [
+            ...checkDates(date, tickets, previous),
+            ...checkMeter(start, tickets),
+            ...(end < start
+                ? checkMeterBreak(start, end)
+                : checkConsumption(end - start, date, previous, tickets, history.stats))
+        ];
+    }
+
+    function checkDates(date, tickets, previous) {
+        const warnings = [];
+        const sameDay = tickets.find(t => new Date(t.ticket_date).toDateString() === date.toDateString());
+        const latest = tickets[0];
+
+        if (sameDay) {
+            warnings.push({
+                code: 'date_overlap',
+                label: 'Duplicate date',
+                message: `There is already a ticket for ${formatDay(date)} (${sameDay.meter_start} → ${sameDay.meter_end})`
+            });
+        } else if (latest && date < new Date(latest.ticket_date)) {
+            warnings.push({
+                code: 'date_order',
+                label: 'Out of order',
+                message: `Dated before the latest ticket (${formatDay(new Date(latest.ticket_date))})`
+            });
+        }
+
+        if (previous && !sameDay) {
+            const days = calendarDays(new Date(previous.ticket_date), date);
+            if (days > CONFIG.MAX_GAP_DAYS) {
+                warnings.push({
+                    code: 'date_gap',
+                    label: 'Date gap',
+                    message: `No tickets for ${days - 1} day(s) since ${formatDay(new Date(previous.ticket_date))}`
+                });
+            }
+        }
+        return warnings;
+    }
+
+    /**
+     * The start reading should carry on from the newest ticket's end reading
+     */
+    function checkMeter(start, tickets) {
+        const latest = tickets[0];
+        if (!latest || !Number.isFinite(Number(latest.meter_end))) return [];
+
+        const lastEnd = Number(latest.meter_end);
+        if (Math.abs(start - lastEnd) <= CONFIG.METER_TOLERANCE) return [];
+
+        if (isRollover(lastEnd, start)) {
+            const { gallons } = meterDifference(lastEnd, start);
+            return [{
+                code: 'meter_rollover',
+                label: 'Meter rollover',
+                message: `Meter rolled over since the last ticket (${formatGallons(lastEnd)} → ${formatGallons(start)}, ${formatGallons(gallons)} gal unaccounted)`
+            }];
+        }
+
+        const gap = round(start - lastEnd);
+        return [{
+            code: 'meter_discontinuity',
+            label: 'Meter reading',
+            message: `Start ${formatGallons(start)} doesn't continue from the last meter end ${formatGallons(lastEnd)} ` +
+                `(${gap > 0 ? '+' : ''}${formatGallons(gap)} gal)`
+        }];
+    }
+
+    /**
+     * An end reading below the start: the meter rolled over during this ticket, or a misread
+     */
+    function checkMeterBreak(start, end) {
+        if (isRollover(start, end)) {
+            const { gallons } = meterDifference(start, end);
+            return [{
+                code: 'ticket_rollover',
+                label: 'Meter rollover',
+                message: `Meter rolled over during this ticket (${formatGallons(start)} → ${formatGallons(end)}, ${formatGallons(gallons)} gal) - ` +
+                    'end this ticket at 999,999.9 and start the next from 0'
+            }];
+        }
+        return [{
+            code: 'meter_reversed',
+            label: 'Meter reading',
+            message: `End ${formatGallons(end)} is below start ${formatGallons(start)}`
+        }];
+    }
+
+    /**
+     * Per-day consumption against the recent norm. A ticket covering several days since the
+     * previous one is spread over them.
+     */
+    function checkConsumption(consumption, date, previous, tickets, stats) {
+        const norm = dailyNorm(tickets, stats);
+        if (!norm) return [];
+
+        const days = previous ? Math.max(1, calendarDays(new Date(previous.ticket_date), date)) : 1;
+        const perDay = consumption / days;
+        const ratio = perDay / norm;
+        const spread = days > 1 ? ` over ${days} days` : '';
+
+        if (ratio > CONFIG.HIGH_RATIO) {
+            return [{
+                code: 'consumption_high',
+                label: 'High consumption',
+                message: `${formatGallons(consumption)} gal${spread} is ${ratio.toFixed(1)}× the recent average of ${formatGallons(norm)} gal/day - check the meter readings`
+            }];
+        }
+        if (ratio < CONFIG.LOW_RATIO) {
+            return [{
+                code: 'consumption_low',
+                label: 'Low consumption',
+                message: `${formatGallons(consumption)} gal${spread} is well below the recent average of ${formatGallons(norm)} gal/day`
+            }];
+        }
+        return [];
+    }
+
+    /**
+     * Average gallons/day over recent tickets, else the server's weekly or all-time average
+     */
+    function dailyNorm(tickets, stats) {
+        const recent = tickets
+            .slice(0, CONFIG.HISTORY_SIZE)
+            .map(t => Number(t.consumption_gallons))
+            .filter(Number.isFinite);
+        if (recent.length >= CONFIG.MIN_HISTORY) {
+            return recent.reduce((sum, value) => sum + value, 0) / recent.length;
+        }
+        if (stats && stats.all_time && stats.all_time.days_tracked >= CONFIG.MIN_HISTORY) {
+            return stats.weekly.average_daily || stats.all_time.average_daily || null;
+        }
+        return null;
+    }
+
+    // ==========================================
+    // Acknowledgments
+    // ==========================================
+
+    /**
+     * Notes followed by one line of acknowledged warning codes ("[Ack] date_gap, meter_rollover").
+     * An earlier acknowledgment line is replaced so a resubmitted ticket doesn't collect duplicates.
+     * Every code is kept - check the result against NOTES_MAX with notesOverflow before saving.
+     */
+    function withAcknowledgments(notes, warnings) {
+        const text = String(notes || '')
+            .split('\n')
+            .filter(line => line.trim() && !line.startsWith(ACK_PREFIX))
+            .join('\n');
+        const codes = [...new Set(warnings.map(w => w.code))];
+        const ack = codes.length ? `${ACK_PREFIX} ${codes.join(', ')}` : '';
+        return [text, ack].filter(Boolean).join('\n') || null;
+    }
+
+    /**
+     * Characters notes run past NOTES_MAX (0 when they fit)
+     */
+    function notesOverflow(notes) {
+        return Math.max(0, String(notes || '').length - CONFIG.NOTES_MAX);
+    }
+
+    // ==========================================
+    // Helpers
+    // ==========================================
+
+    function round(value) {
+        return Math.round(value * 10) / 10;
+    }
+
+    /**
+     * Whole calendar days from one date to another (local time)
+     */
+    function calendarDays(from, to) {
+        const a = new Date(from.getFullYear(), from.getMonth(), from.getDate());
+        const b = new Date(to.getFullYear(), to.getMonth(), to.getDate());
+        return Math.round((b - a) / DAY);
+    }
+
+    function formatDay(date) {
+        return date.toLocaleDateString('en-US', { month: 'short', day: 'numeric' });
+    }
+
+    function formatGallons(value) {
+        return Number(value).toLocaleString('en-US', { maximumFractionDigits: 1 });
+    }
+
+    // ==========================================
+    // Public API
+    // ==========================================
+
+    return {
+        CONFIG,
+        check,
+        meterDifference,
+        isRollover,
+        withAcknowledgments,
+        notesOverflow
+    };
+})();
+
+// Export for module systems if available
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ORBAnomalies;
+}
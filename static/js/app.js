@@ -7,13 +7,20 @@
 // Uses ORBOffline when available, falls back to direct fetch
 const api = {
     async get(endpoint) {
+        const result = await api.getWithMeta(endpoint);
+        return result.data;
+    },
+
+    // Like get(), but returns { data, fromCache, stale, cachedAt } so pages can show data age.
+    // options.maxAge (ms) skips cached copies older than that while the server is reachable.
+    async getWithMeta(endpoint, options = {}) {
         // Use offline-aware API if available
         if (typeof ORBOffline !== 'undefined') {
-            const result = await ORBOffline.api.get(endpoint);
+            const result = await ORBOffline.api.get(endpoint, options);
             if (!result.ok && !result.queued) {
                 throw new Error(`API error: ${result.status}`);
             }
-            return result.data;
+            return result;
         }
         
         // Fallback to direct fetch
@@ -21,19 +28,30 @@ const api = {
         if (!response.ok) {
             throw new Error(`API error: ${response.status}`);
         }
-        return response.json();
+        return {
+            ok: true,
+            status: response.status,
+            data: await response.json(),
+            fromCache: false,
+            stale: false,
+            cachedAt: null
+        };
     },
 
-    async post(endpoint, data) {
+    async post(endpoint, data, options = {}) {
         // Use offline-aware API if available
         if (typeof ORBOffline !== 'undefined') {
-            return ORBOffline.api.post(endpoint, data);
+            return ORBOffline.api.post(endpoint, data, options);
         }
         
         // Fallback to direct fetch
         const response = await fetch(`/api${endpoint}`, {
             method: 'POST',
-            headers: { 'Content-Type': 'application/json' },
+            headers: {
+                'Content-Type': 'application/json',
+                'Idempotency-Key': crypto.randomUUID(),
+                ...(options.ifMatch ? { 'If-Match': options.ifMatch } : {})
+            },
             body: JSON.stringify(data)
         });
         return {
@@ -43,16 +61,20 @@ const api = {
         };
     },
 
-    async put(endpoint, data) {
+    async put(endpoint, data, options = {}) {
         // Use offline-aware API if available
         if (typeof ORBOffline !== 'undefined') {
-            return ORBOffline.api.put(endpoint, data);
+            return ORBOffline.api.put(endpoint, data, options);
         }
         
         // Fallback to direct fetch
         const response = await fetch(`/api${endpoint}`, {
             method: 'PUT',
-            headers: { 'Content-Type': 'application/json' },
+            headers: {
+                'Content-Type': 'application/json',
+                'Idempotency-Key': crypto.randomUUID(),
+                ...(options.ifMatch ? { 'If-Match': options.ifMatch } : {})
+            },
             body: JSON.stringify(data)
         });
         return {
@@ -62,15 +84,16 @@ const api = {
         };
     },
 
-    async delete(endpoint) {
+    async delete(endpoint, options = {}) {
         // Use offline-aware API if available
         if (typeof ORBOffline !== 'undefined') {
-            return ORBOffline.api.delete(endpoint);
+            return ORBOffline.api.delete(endpoint, options);
         }
         
         // Fallback to direct fetch
         const response = await fetch(`/api${endpoint}`, {
-            method: 'DELETE'
+            method: 'DELETE',
+            headers: { 'Idempotency-Key': crypto.randomUUID() }
         });
         return {
             ok: response.ok,
@@ -113,11 +136,35 @@ const format = {
     delta(value, unit = '') {
         const prefix = value >= 0 ? '+' : '';
         return `${prefix}${value}${unit}`;
+    },
+
+    timeAgo(timestamp) {
+        const seconds = Math.max(0, Math.floor((Date.now() - timestamp) / 1000));
+        if (seconds < 60) return 'just now';
+        const minutes = Math.floor(seconds / 60);
+        if (minutes < 60) return `${minutes}m ago`;
+        const hours = Math.floor(minutes / 60);
+        if (hours < 24) return `${hours}h ago`;
+        return `${Math.floor(hours / 24)}d ago`;
+    },
+
+    // Notice for data served from the offline cache ('' when the data is live)
+    cacheNotice(result) {
+        if (!result || !result.fromCache || !result.stale) return '';
+        return `Offline data · last updated ${this.timeAgo(result.cachedAt)}`;
     }
 };
 
 // Storage helpers - delegate to ORBStorage if available
 const storage = {
+    // Resolves once the signed-in user (and so the storage namespace) is known
+    ready() {
+        if (typeof ORBStorage !== 'undefined') {
+            return ORBStorage.ready();
+        }
+        return Promise.resolve(false);
+    },
+
     set(key, value) {
         if (typeof ORBStorage !== 'undefined') {
             return ORBStorage.set(key, value);
@@ -190,6 +237,14 @@ const offline = {
         return navigator.onLine;
     },
     
+    // 'online', 'degraded' or 'offline' from the heartbeat
+    connection() {
+        if (typeof ORBOffline !== 'undefined') {
+            return ORBOffline.getConnection();
+        }
+        return navigator.onLine ? 'online' : 'offline';
+    },
+    
     isSyncing() {
         if (typeof ORBOffline !== 'undefined') {
             return ORBOffline.isSyncing();
@@ -204,6 +259,14 @@ const offline = {
         return 0;
     },
     
+    // Writes to an endpoint still waiting in the offline queue, oldest first
+    async getQueued(endpoint, method = 'POST') {
+        if (typeof ORBOffline !== 'undefined') {
+            return ORBOffline.getQueued(endpoint, method);
+        }
+        return [];
+    },
+    
     syncNow() {
         if (typeof ORBOffline !== 'undefined') {
             return ORBOffline.syncQueue();
@@ -214,7 +277,7 @@ const offline = {
         if (typeof ORBOffline !== 'undefined') {
             return ORBOffline.setupFormAutoSave(formId, form, debounceMs);
         }
-        return { restore: () => false, clear: () => {} };
+        return { restore: async () => false, save: () => {}, clear: () => {} };
     },
     
     onStatusChange(callback) {
@@ -222,6 +285,21 @@ const offline = {
             return ORBOffline.onStatusChange(callback);
         }
         return () => {};
+    },
+    
+    // Queued (?queued=<id>) or rejected (?rejected=<id>) submission to edit, if it was posted to one of endpointPrefixes
+    async openEdit(endpointPrefixes) {
+        if (typeof ORBOffline !== 'undefined') {
+            return ORBOffline.openEdit(endpointPrefixes);
+        }
+        return null;
+    },
+    
+    // Drop the original once the edited submission has been resubmitted
+    resolveEdit(record) {
+        if (typeof ORBOffline !== 'undefined') {
+            return ORBOffline.resolveEdit(record);
+        }
     }
 };
 
@@ -0,0 +1,267 @@
+/**
+ * Oil Record Book Tool - Offline Backup Module
+ * Exports the unsynced queue, rejected submissions and form drafts as a checksummed, signed
+ * JSON file, and imports one on another device so entries from a phone that will never
+ * reconnect can still reach the server through the normal sync path.
+ */
+
+const ORBBackup = (function() {
+    const FORMAT = 'orb-offline-backup';
+    const VERSION = 1;
+    const IDEMPOTENCY_HEADER = 'Idempotency-Key';
+
+    // ==========================================
+    // Export
+    // ==========================================
+
+    /**
+     * Build a backup bundle from this user's local data. Records that are still locked
+     * (no key this session) can't be read and are left out.
+     * @returns {Promise<{bundle: Object, skipped: number}>}
+     */
+    async function createBundle() {
+        await ORBStorage.ready();
+        const [queue, rejected, forms] = await Promise.all([
+            ORBStorage.queue.getAll(),
+            ORBStorage.rejected.getAll(),
+            ORBStorage.form.getAll()
+        ]);
+
+        const readable = records => records.filter(record => !record.locked);
+        const data = {
+            queue: readable(queue).map(item => ({
+                endpoint: item.endpoint,
+                method: item.method,
+                data: item.data,
+                headers: item.headers,
+                stream: item.stream,
+                timestamp: item.timestamp
+            })),
+            rejected: readable(rejected).map(record => {
+                const { id, ...fields } = record;
+                return fields;
+            }),
+            forms: readable(forms).map(draft => ({
+                formId: draft.formId,
+                data: draft.data,
+                timestamp: draft.timestamp
+            }))
+        };
+
+        const bundle = {
+            format: FORMAT,
+            version: VERSION,
+            exportedAt: new Date().toISOString(),
+            user: ORBStorage.user(),
+            data
+        };
+        const content = canonical(bundle);
+        bundle.checksum = await checksum(content);
+        bundle.signature = await ORBStorage.sign(content);
+
+        const skipped = queue.length + rejected.length + forms.length -
+            (data.queue.length + data.rejected.length + data.forms.length);
+        return { bundle, skipped };
+    }
+
+    /**
+     * Save a bundle as a .json download
+     */
+    function download(bundle) {
+        const user = bundle.user;
+        const blob = new Blob([JSON.stringify(bundle, null, 2)], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `orb-backup-${user ? user.username : 'device'}-${bundle.exportedAt.slice(0, 10)}.json`;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    }
+
+    /**
+     * Export and download in one go
+     * @returns {Promise<{counts: Object, skipped: number}>}
+     */
+    async function exportToFile() {
+        const { bundle, skipped } = await createBundle();
+        download(bundle);
+        return {
+            counts: {
+                queue: bundle.data.queue.length,
+                rejected: bundle.data.rejected.length,
+                forms: bundle.data.forms.length
+            },
+            skipped
+        };
+    }
+
+    // ==========================================
+    // Import
+    // ==========================================
+
+    /**
+     * Parse and check a backup file
+     * @returns {Promise<{bundle: Object, signed: boolean|null, foreignUser: Object|null}>}
+     *          signed: true = signature checked, null = could not be checked (another user's
+     *          backup, or no key this session); foreignUser is set when someone else exported it
+     * @throws {Error} when the file isn't a backup or was altered
+     */
+    async function readFile(file) {
+        let bundle;
+        try {
+            bundle = JSON.parse(await file.text());
+        } catch (e) {
+            throw new Error('Not a backup file - could not read JSON');
+        }
+
+        if (!bundle || bundle.format !== FORMAT || !bundle.data) {
+            throw new Error('Not an ORB offline backup');
+        }
+        if (bundle.version > VERSION) {
+            throw new Error('This backup was made by a newer version of the app');
+        }
+
+        const { checksum: expected, signature, ...body } = bundle;
+        const content = canonical(body);
+        const algorithm = String(expected || '').split(':')[0];
+        if (algorithm === 'sha256' && !(window.crypto && crypto.subtle)) {
+            throw new Error('This backup can only be checked over a secure (HTTPS) connection');
+        }
+        if (!expected || expected !== await checksum(content, algorithm)) {
+            throw new Error('Backup checksum does not match - the file is damaged or was edited');
+        }
+
+        const current = ORBStorage.user();
+        const foreignUser = bundle.user && current && bundle.user.id !== current.id ? bundle.user : null;
+
+        let signed = null;
+        if (!foreignUser && signature) {
+            signed = await ORBStorage.verify(content, signature);
+            if (signed === false) {
+                throw new Error('Backup signature is not valid for your account');
+            }
+        }
+
+        return { bundle, signed, foreignUser };
+    }
+
+    /**
+     * Load a checked bundle into local storage. Requests already queued or rejected here
+     * (same idempotency key, or same endpoint and body) are skipped; drafts only replace
+     * older local ones. Queued requests keep their original time so stream order holds.
+     * @returns {Promise<{queued: number, rejected: number, forms: number, duplicates: number}>}
+     */
+    async function importBundle(bundle) {
+        await ORBStorage.ready();
+        const [queue, rejected, forms] = await Promise.all([
+            ORBStorage.queue.getAll(),
+            ORBStorage.rejected.getAll(),
+            ORBStorage.form.getAll()
+        ]);
+
+        const seen = new Set([...queue, ...rejected].map(requestKey));
+        const counts = { queued: 0, rejected: 0, forms: 0, duplicates: 0 };
+
+        for (const item of bundle.data.queue || []) {
+            const key = requestKey(item);
+            if (seen.has(key)) {
+                counts.duplicates++;
+                continue;
+            }
+            seen.add(key);
+            await ORBStorage.queue.add({
+                endpoint: item.endpoint,
+                method: item.method,
+                data: item.data,
+                headers: item.headers || {},
+                stream: item.stream || ORBReplay.getQueueStream(item.endpoint),
+                timestamp: item.timestamp
+            });
+            counts.queued++;
+        }
+
+        for (const record of bundle.data.rejected || []) {
+            const key = requestKey(record);
+            if (seen.has(key)) {
+                counts.duplicates++;
+                continue;
+            }
+            seen.add(key);
+            await ORBStorage.rejected.add(record);
+            counts.rejected++;
+        }
+
+        const localDrafts = new Map(forms.map(draft => [draft.formId, draft]));
+        for (const draft of bundle.data.forms || []) {
+            const local = localDrafts.get(draft.formId);
+            if (local && !local.locked && local.timestamp >= draft.timestamp) continue;
+            await ORBStorage.form.save(draft.formId, draft.data, draft.timestamp);
+            counts.forms++;
+        }
+
+        return counts;
+    }
+
+    // ==========================================
+    // Helpers
+    // ==========================================
+
+    /**
+     * What makes two queued requests the same write
+     */
+    function requestKey(item) {
+        const headers = item.headers || {};
+        if (headers[IDEMPOTENCY_HEADER]) return `key:${headers[IDEMPOTENCY_HEADER]}`;
+        return `body:${item.method} ${item.endpoint} ${JSON.stringify(item.data || null)}`;
+    }
+
+    /**
+     * Stable serialization (sorted object keys) that the checksum and signature cover
+     */
+    function canonical(value) {
+        if (Array.isArray(value)) return `[${value.map(canonical).join(',')}]`;
+        if (value && typeof value === 'object') {
+            return `{${Object.keys(value)
+                .filter(key => value[key] !== undefined)
+                .sort()
+                .map(key => `${JSON.stringify(key)}:${canonical(value[key])}`)
+                .join(',')}}`;
+        }
+        return JSON.stringify(value === undefined ? null : value);
+    }
+
+    /**
+     * SHA-256 where WebCrypto exists; FNV-1a on insecure origins (still catches a damaged file)
+     * @param {string} algorithm - 'sha256' or 'fnv1a' to check an existing checksum; best available by default
+     */
+    async function checksum(text, algorithm = window.crypto && crypto.subtle ? 'sha256' : 'fnv1a') {
+        if (algorithm === 'sha256') {
+            return `sha256:${await ORBVault.digest(text)}`;
+        }
+        let hash = 0x811c9dc5;
+        for (let i = 0; i < text.length; i++) {
+            hash ^= text.charCodeAt(i);
+            hash = Math.imul(hash, 0x01000193) >>> 0;
+        }
+        return `fnv1a:${hash.toString(16).padStart(8, '0')}`;
+    }
+
+    // ==========================================
+    // Public API
+    // ==========================================
+
+    return {
+        createBundle,
+        download,
+        exportToFile,
+        readFile,
+        importBundle
+    };
+})();
+
+// Export for module systems if available
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ORBBackup;
+}
@@ -0,0 +1,267 @@
+/**
+ * Oil Record Book Tool - Chart Module
+ * Dependency-free SVG line charts for time series: one or more lines, horizontal limit lines
+ * (e.g. tank capacity) and tap-to-inspect readouts. Works the same on cached data offline.
+ */
+
+const ORBChart = (function() {
+    const SVG_NS = 'http://www.w3.org/2000/svg';
+
+    const CONFIG = {
+        WIDTH: 320,
+        HEIGHT: 180,
+        PADDING: { top: 12, right: 12, bottom: 22, left: 40 },
+        Y_TICKS: 4,
+        X_TICKS: 4,
+        MAX_MARKERS: 60,   // Point markers are left off past this many points per series
+        HEADROOM: 1.05     // Y axis runs this far past the highest value
+    };
+
+    const DAY = 24 * 60 * 60 * 1000;
+
+    // ==========================================
+    // Rendering
+    // ==========================================
+
+    /**
+     * Draw a line chart into container, replacing its contents
+     * @param {HTMLElement} container
+     * @param {Object} options
+     * @param {Array<{label: string, className: string, points: Array<{date, value}>}>} options.series
+     * @param {Array<{label: string, value: number}>} [options.limits] - Horizontal reference lines
+     * @param {string} [options.unit] - Appended to readout values
+     * @param {string} [options.emptyText] - Shown when no series has points
+     */
+    function render(container, options) {
+        const series = (options.series || []).map(s => ({
+            ...s,
+            points: s.points
+                .map(p => ({ t: new Date(p.date).getTime(), value: Number(p.value) }))
+                .filter(p => Number.isFinite(p.t) && Number.isFinite(p.value))
+                .sort((a, b) => a.t - b.t)
+        }));
+        const limits = (options.limits || []).filter(l => Number.isFinite(l.value));
+        const unit = options.unit ? ` ${options.unit}` : '';
+
+        container.replaceChildren();
+        const all = series.flatMap(s => s.points);
+        if (all.length === 0) {
+            const empty = document.createElement('div');
+            empty.className = 'empty';
+            empty.textContent = options.emptyText || 'No data yet.';
+            container.appendChild(empty);
+            return;
+        }
+
+        const scale = buildScale(all, limits);
+        const svg = svgElement('svg', {
+            class: 'chart-svg',
+            viewBox: `0 0 ${CONFIG.WIDTH} ${CONFIG.HEIGHT}`,
+            role: 'img',
+            'aria-label': options.label || series.map(s => s.label).join(', ')
+        });
+
+        drawAxes(svg, scale);
+        limits.forEach(limit => drawLimit(svg, scale, limit));
+        series.forEach(s => drawSeries(svg, scale, s));
+
+        const readout = document.createElement('div');
+        readout.className = 'chart-readout';
+        readout.textContent = 'Tap the chart to inspect a point';
+
+        container.appendChild(svg);
+        container.appendChild(legend(series, limits));
+        container.appendChild(readout);
+
+        setupInspect(svg, scale, series, readout, unit);
+    }
+
+    /**
+     * Time and value ranges mapped onto the viewBox
+     */
+    function buildScale(points, limits) {
+        const { WIDTH, HEIGHT, PADDING } = CONFIG;
+        const t0 = Math.min(...points.map(p => p.t));
+        const t1 = Math.max(...points.map(p => p.t));
+        // Short ranges (or a single point) are widened to a day per tick so date labels don't repeat
+        const pad = Math.max(0, CONFIG.X_TICKS * DAY - (t1 - t0)) / 2;
+        const start = t0 - pad;
+        const end = t1 + pad;
+
+        const top = Math.max(
+            Math.max(...points.map(p => p.value), ...limits.map(l => l.value)) * CONFIG.HEADROOM,
+            CONFIG.Y_TICKS
+        );
+        const step = niceStep(top / CONFIG.Y_TICKS);
+        const max = Math.ceil(top / step) * step;
+
+        return {
+            start, end, max, step,
+            x: t => PADDING.left + ((t - start) / (end - start)) * (WIDTH - PADDING.left - PADDING.right),
+            y: v => PADDING.top + (1 - v / max) * (HEIGHT - PADDING.top - PADDING.bottom),
+            // viewBox x back to a time, for taps
+            t: x => start + ((x - PADDING.left) / (WIDTH - PADDING.left - PADDING.right)) * (end - start)
+        };
+    }
+
+    function drawAxes(svg, scale) {
+        const { WIDTH, HEIGHT, PADDING } = CONFIG;
+
+        for (let v = 0; v <= scale.max; v += scale.step) {
+            const y = scale.y(v);
+            svg.appendChild(svgElement('line', { class: 'chart-grid', x1: PADDING.left, x2: WIDTH - PADDING.right, y1: y, y2: y }));
+            svg.appendChild(svgText('chart-axis-label', PADDING.left - 4, y + 3, formatValue(v), 'end'));
+        }
+
+        for (let i = 0; i <= CONFIG.X_TICKS; i++) {
+            const t = scale.start + (i / CONFIG.X_TICKS) * (scale.end - scale.start);
+            const anchor = i === 0 ? 'start' : i === CONFIG.X_TICKS ? 'end' : 'middle';
+            svg.appendChild(svgText('chart-axis-label', scale.x(t), HEIGHT - 6, formatDay(t), anchor));
+        }
+    }
+
+    function drawLimit(svg, scale, limit) {
+        const { WIDTH, PADDING } = CONFIG;
+        const y = scale.y(limit.value);
+        svg.appendChild(svgElement('line', { class: 'chart-limit', x1: PADDING.left, x2: WIDTH - PADDING.right, y1: y, y2: y }));
+        svg.appendChild(svgText('chart-limit-label', WIDTH - PADDING.right, y - 3, limit.label, 'end'));
+    }
+
+    function drawSeries(svg, scale, series) {
+        if (series.points.length === 0) return;
+
+        svg.appendChild(svgElement('polyline', {
+            class: `chart-line ${series.className || ''}`,
+            points: series.points.map(p => `${scale.x(p.t).toFixed(1)},${scale.y(p.value).toFixed(1)}`).join(' ')
+        }));
+
+        if (series.points.length <= CONFIG.MAX_MARKERS) {
+            series.points.forEach(p => {
+                svg.appendChild(svgElement('circle', {
+                    class: `chart-point ${series.className || ''}`,
+                    cx: scale.x(p.t).toFixed(1),
+                    cy: scale.y(p.value).toFixed(1),
+                    r: 2.5
+                }));
+            });
+        }
+    }
+
+    function legend(series, limits) {
+        const el = document.createElement('div');
+        el.className = 'chart-legend';
+        series.forEach(s => {
+            const item = document.createElement('span');
+            item.className = `chart-legend-item ${s.className || ''}`;
+            item.textContent = s.label;
+            el.appendChild(item);
+        });
+        limits.forEach(l => {
+            const item = document.createElement('span');
+            item.className = 'chart-legend-item chart-legend-limit';
+            item.textContent = l.label;
+            el.appendChild(item);
+        });
+        return el;
+    }
+
+    // ==========================================
+    // Inspect
+    // ==========================================
+
+    /**
+     * Tapping (or hovering) picks the nearest date with data and shows every series' value there
+     */
+    function setupInspect(svg, scale, series, readout, unit) {
+        const { HEIGHT, PADDING } = CONFIG;
+        const guide = svgElement('line', { class: 'chart-guide', y1: PADDING.top, y2: HEIGHT - PADDING.bottom, visibility: 'hidden' });
+        svg.appendChild(guide);
+        const markers = series.map(s => {
+            const marker = svgElement('circle', { class: `chart-marker ${s.className || ''}`, r: 4, visibility: 'hidden' });
+            svg.appendChild(marker);
+            return marker;
+        });
+        const times = [...new Set(series.flatMap(s => s.points.map(p => p.t)))].sort((a, b) => a - b);
+
+        const inspect = (event) => {
+            const rect = svg.getBoundingClientRect();
+            if (!rect.width) return;
+            const target = scale.t(((event.clientX - rect.left) / rect.width) * CONFIG.WIDTH);
+            const t = nearest(times, target);
+
+            const x = scale.x(t);
+            guide.setAttribute('x1', x);
+            guide.setAttribute('x2', x);
+            guide.setAttribute('visibility', 'visible');
+
+            const values = [];
+            series.forEach((s, i) => {
+                const point = s.points.find(p => p.t === t);
+                markers[i].setAttribute('visibility', point ? 'visible' : 'hidden');
+                if (!point) return;
+                markers[i].setAttribute('cx', x);
+                markers[i].setAttribute('cy', scale.y(point.value));
+                values.push(`${s.label}: ${formatValue(point.value)}${unit}`);
+            });
+            readout.textContent = `${formatDay(t, true)} · ${values.join(' · ')}`;
+        };
+
+        svg.addEventListener('pointerdown', inspect);
+        svg.addEventListener('pointermove', inspect);
+    }
+
+    function nearest(sorted, target) {
+        return sorted.reduce((best, t) => (Math.abs(t - target) < Math.abs(best - target) ? t : best), sorted[0]);
+    }
+
+    // ==========================================
+    // Helpers
+    // ==========================================
+
+    function svgElement(tag, attrs = {}) {
+        const el = document.createElementNS(SVG_NS, tag);
+        Object.entries(attrs).forEach(([name, value]) => el.setAttribute(name, value));
+        return el;
+    }
+
+    function svgText(className, x, y, text, anchor) {
+        const el = svgElement('text', { class: className, x, y, 'text-anchor': anchor });
+        el.textContent = text;
+        return el;
+    }
+
+    /**
+     * 1, 2 or 5 times a power of ten - the smallest at or above raw
+     */
+    function niceStep(raw) {
+        const magnitude = Math.pow(10, Math.floor(Math.log10(raw)));
+        const step = [1, 2, 5, 10].find(m => m * magnitude >= raw);
+        return step * magnitude;
+    }
+
+    function formatValue(value) {
+        return Math.round(value).toLocaleString('en-US');
+    }
+
+    function formatDay(t, withYear = false) {
+        return new Date(t).toLocaleDateString('en-US', {
+            month: 'short',
+            day: 'numeric',
+            ...(withYear ? { year: 'numeric' } : {})
+        });
+    }
+
+    // ==========================================
+    // Public API
+    // ==========================================
+
+    return {
+        CONFIG,
+        render
+    };
+})();
+
+// Export for module systems if available
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ORBChart;
+}
@@ -0,0 +1,128 @@
+/**
+ * Oil Record Book Tool - ORB Entry Module
+ * Client-side port of ORBService so Code C / Code I text can be previewed while offline
+ */
+
+const ORBEntries = (function() {
+    const MONTHS = ['JAN', 'FEB', 'MAR', 'APR', 'MAY', 'JUN', 'JUL', 'AUG', 'SEP', 'OCT', 'NOV', 'DEC'];
+
+    // ==========================================
+    // Helpers
+    // ==========================================
+
+    /**
+     * Format a date as DD MMM YYYY upper-case (strftime "%d %b %Y".upper())
+     * @param {Date|string} entryDate - Date, or the naive ISO string the form submits
+     */
+    function formatDate(entryDate) {
+        let year, month, day;
+
+        if (typeof entryDate === 'string') {
+            // Read the calendar date as written - the server treats it as naive local time
+            [year, month, day] = entryDate.slice(0, 10).split('-').map(Number);
+        } else {
+            year = entryDate.getFullYear();
+            month = entryDate.getMonth() + 1;
+            day = entryDate.getDate();
+        }
+
+        return `${String(day).padStart(2, '0')} ${MONTHS[month - 1]} ${year}`;
+    }
+
+    /**
+     * Tank metadata from the cached /tanks response, falling back to the stored sounding tables
+     */
+    async function loadTankInfo() {
+        try {
+            await ORBStorage.ready();
+            const cached = await ORBStorage.cache.get('/tanks');
+            if (cached && cached.data && cached.data['17P'] && cached.data['17S']) {
+                return cached.data;
+            }
+        } catch (e) {
+            console.warn('Cached tank metadata unavailable:', e);
+        }
+
+        if (typeof ORBSoundings !== 'undefined') {
+            await ORBSoundings.load();
+            return {
+                '17P': ORBSoundings.getTankInfo('17P'),
+                '17S': ORBSoundings.getTankInfo('17S')
+            };
+        }
+
+        throw new Error('Tank metadata not available offline');
+    }
+
+    // ==========================================
+    // Entry Generation (same layout as ORBService)
+    // ==========================================
+
+    /**
+     * Generate Code C entry (Dirty Oil Tank weekly inventory)
+     */
+    function generateCodeC(entryDate, tankM3, engineerName, engineerTitle, tankInfo) {
+        const tank = tankInfo['17S'];
+        const dateStr = formatDate(entryDate);
+
+        const entryText = `DATE: ${dateStr}
+CODE: C
+
+11.1 ${tank.name} (17S)
+11.2 ${tank.capacity_m3.toFixed(2)} m³ capacity
+11.3 ${tankM3.toFixed(2)} m³ retained
+11.4 N/A
+
+${engineerName}, (${engineerTitle}) ${dateStr}`;
+
+        return { code: 'C', entry_text: entryText, entry_date: entryDate };
+    }
+
+    /**
+     * Generate Code I entry (Oily Water Tank weekly inventory)
+     */
+    function generateCodeI(entryDate, tankM3, engineerName, engineerTitle, tankInfo) {
+        const tank = tankInfo['17P'];
+        const dateStr = formatDate(entryDate);
+
+        const entryText = `DATE: ${dateStr}
+CODE: I
+
+34.1 ${tank.name} (17P)
+34.2 ${tank.capacity_m3.toFixed(2)} m³ capacity
+34.3 ${tankM3.toFixed(2)} m³ retained
+
+${engineerName}, (${engineerTitle}) ${dateStr}`;
+
+        return { code: 'I', entry_text: entryText, entry_date: entryDate };
+    }
+
+    /**
+     * Generate both weekly entries from a sounding form payload
+     * @returns {Promise<{C: Object, I: Object}>}
+     */
+    async function generateWeeklyEntries(entryDate, tank17pM3, tank17sM3, engineerName, engineerTitle) {
+        const tankInfo = await loadTankInfo();
+        return {
+            C: generateCodeC(entryDate, tank17sM3, engineerName, engineerTitle, tankInfo),
+            I: generateCodeI(entryDate, tank17pM3, engineerName, engineerTitle, tankInfo)
+        };
+    }
+
+    // ==========================================
+    // Public API
+    // ==========================================
+
+    return {
+        formatDate,
+        loadTankInfo,
+        generateCodeC,
+        generateCodeI,
+        generateWeeklyEntries
+    };
+})();
+
+// Export for module systems if available
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ORBEntries;
+}
@@ -5,19 +5,81 @@
 
 const ORBOffline = (function() {
     // Configuration
+    // Retry, stream and cache invalidation rules live in replay.js (shared with the service worker)
     const CONFIG = {
-        RETRY_DELAYS: [1000, 2000, 4000, 8000, 16000, 30000], // Exponential backoff (ms)
-        MAX_RETRIES: 6,
         SYNC_INTERVAL: 30000, // Check queue every 30s when online
+        DEGRADED_SYNC_INTERVAL: 2 * 60 * 1000, // Go easy on a slow or flaky uplink
+
+        // Heartbeat against the server - navigator.onLine only knows about the vessel Wi-Fi
         PING_ENDPOINT: '/api/health', // Endpoint to check connectivity
-        PING_TIMEOUT: 5000
+        PING_TIMEOUT: 5000,
+        HEARTBEAT_INTERVAL: 30000,
+        HEARTBEAT_RETRY_INTERVAL: 10000, // While degraded or offline
+        DEGRADED_LATENCY: 2000, // Slower round trips than this count as degraded
+        OFFLINE_AFTER_FAILURES: 2, // Consecutive unanswered heartbeats before going offline
+        IDEMPOTENCY_HEADER: 'Idempotency-Key', // Server replays the original response for a repeated key
+        LOGOUT_URL: '/auth/logout',
+        LOGIN_URL: '/auth/login',
+
+        // Only one open tab (the leader) runs the sync loop; every tab hears the others' events
+        TAB_CHANNEL: 'orb-offline',
+        LEADER_LOCK: 'orb-sync-leader',
+        LEADER_LEASE_KEY: 'orb_sync_leader', // localStorage lease when Web Locks are unavailable
+        LEADER_LEASE_TTL: 15000,
+        LEADER_HEARTBEAT: 5000,
+        TAB_EVENTS: [
+            'queued', 'queue-changed', 'request-synced', 'synced',
+            'rejected', 'rejected-resolved', 'discarded', 'queue-cleared', 'retry_exhausted',
+            'cache-invalidated'
+        ],
+
+        // Form page a queued or rejected request can be reopened in, and its label (longest matching prefix)
+        ENDPOINT_FORMS: {
+            '/soundings': { page: '/soundings', label: 'Weekly sounding' },
+            '/fuel-tickets': { page: '/fuel', label: 'Fuel ticket' },
+            '/service-tanks/active': { page: '/fuel', label: 'Service tank change' },
+            '/status-events': { page: '/', label: 'Status event' },
+            '/equipment/bulk': { page: '/', label: 'Equipment status' },
+            '/equipment': { page: null, label: 'Equipment status' },
+            '/hitch': { page: null, label: 'Hitch record' }
+        },
+
+        // GET responses served from the api_cache store while fresh (ms).
+        // Stale entries are still returned when offline or degraded, or when the fetch fails.
+        CACHE_TTLS: {
+            '/dashboard/full': 60 * 1000,
+            '/tanks': 24 * 60 * 60 * 1000,
+            '/service-tanks': 24 * 60 * 60 * 1000,
+            '/service-tanks/active': 5 * 60 * 1000,
+            '/fuel-tickets': 2 * 60 * 1000,
+            '/soundings': 10 * 60 * 1000,
+            '/orb-entries': 10 * 60 * 1000
+        }
+    };
+
+    const { QUEUE_STATE, matchPrefix, getQueueStream, groupByStream, isHeld } = ORBReplay;
+
+    // Connection states - degraded still sends writes, but reads prefer the cache
+    const CONNECTION = {
+        ONLINE: 'online',
+        DEGRADED: 'degraded',
+        OFFLINE: 'offline'
     };
 
     // State
-    let isOnline = navigator.onLine;
+    let connection = navigator.onLine ? CONNECTION.ONLINE : CONNECTION.OFFLINE;
+    let isOnline = connection !== CONNECTION.OFFLINE;
+    let lastProbe = { state: connection, latency: null, reason: null, checkedAt: null };
+    let probeFailures = 0;
+    let heartbeatTimer = null;
     let isSyncing = false;
     let syncTimer = null;
+    let nextAttemptTimer = null;
     let listeners = [];
+    let isLeader = false;
+    let tabChannel = null;
+    const tabId = generateRequestId();
+    const editHolds = new Map(); // Queued items this page holds for an edit: id -> pagehide/pageshow handlers
 
     // ==========================================
     // Network Status Detection
@@ -31,285 +93,1728 @@ const ORBOffline = (function() {
         window.addEventListener('online', handleOnline);
         window.addEventListener('offline', handleOffline);
 
-        // Initial state
-        isOnline = navigator.onLine;
+        // Queue inspector opens from the status indicator
+        const indicator = document.getElementById('offline-indicator');
+        const panel = document.getElementById('queue-panel');
+        if (indicator && panel) {
+            indicator.addEventListener('click', openQueuePanel);
+            panel.addEventListener('click', handleQueuePanelClick);
+        }
+
+        // Logout checks for unsynced items, then wipes this user's local data
+        const logoutPanel = document.getElementById('logout-panel');
+        if (logoutPanel) {
+            document.addEventListener('click', handleLogoutClick);
+            logoutPanel.addEventListener('click', handleLogoutPanelClick);
+        }
+
+        // Writes refused because the record changed meanwhile are settled field by field
+        const conflictPanel = document.getElementById('conflict-panel');
+        if (conflictPanel) {
+            conflictPanel.addEventListener('click', handleConflictPanelClick);
+        }
+
+        // Warn when the device runs short of space with unsynced data on it
+        ORBStorage.quota.onChange(updateStorageWarning);
+
+        // Initial state (until the first heartbeat answers)
+        updateUI();
+        updateRejectedBanner();
+
+        ORBStorage.ready().then(() => {
+            if (ORBStorage.isLocked()) {
+                showToast('Offline data is locked - sign in again to read or sync it', 'warning');
+            }
+        });
+
+        // The elected tab runs the heartbeat and sync loop (and so replays anything left from the last visit)
+        openTabChannel();
+        listenForServiceWorker();
+        electLeader();
+        if (!isLeader) {
+            postToTabs({ type: 'probe-request' });
+        }
+
+        console.log('ORBOffline initialized, connection:', connection);
+    }
+
+    function handleOnline() {
+        console.log('Network: online');
+        // The Wi-Fi is back - that says nothing about the uplink, so ask the server
+        if (isLeader) {
+            heartbeat();
+        } else {
+            postToTabs({ type: 'probe-request' });
+        }
+    }
+
+    function handleOffline() {
+        console.log('Network: offline');
+        probeFailures = 0;
+        setConnection({ state: CONNECTION.OFFLINE, latency: null, reason: 'No network', checkedAt: Date.now() });
+    }
+
+    /**
+     * One heartbeat against the health endpoint. A redirect or a non-JSON answer means something
+     * other than our server replied (captive portal, satellite modem page) - that is offline.
+     * @returns {Promise<{state: string, latency: number|null, reason: string|null, checkedAt: number}>}
+     */
+    async function probeConnectivity() {
+        const result = (state, latency, reason) => ({ state, latency, reason, checkedAt: Date.now() });
+
+        if (!navigator.onLine) {
+            probeFailures = 0;
+            return result(CONNECTION.OFFLINE, null, 'No network');
+        }
+
+        const controller = new AbortController();
+        const timeoutId = setTimeout(() => controller.abort(), CONFIG.PING_TIMEOUT);
+        const started = performance.now();
+
+        try {
+            const response = await fetch(CONFIG.PING_ENDPOINT, {
+                method: 'GET',
+                cache: 'no-store',
+                credentials: 'same-origin',
+                headers: { 'Accept': 'application/json' },
+                signal: controller.signal
+            });
+            const latency = Math.round(performance.now() - started);
+            probeFailures = 0;
+
+            if (response.redirected) {
+                return result(CONNECTION.OFFLINE, latency, 'Redirected - captive portal or sign-in page');
+            }
+            if (response.status >= 500) {
+                return result(CONNECTION.DEGRADED, latency, `Server error (${response.status})`);
+            }
+
+            const contentType = response.headers.get('Content-Type') || '';
+            const body = contentType.includes('application/json') ? await response.json().catch(() => null) : null;
+            if (!body || body.status !== 'ok') {
+                return result(CONNECTION.OFFLINE, latency, 'Unexpected response - not the ORB server');
+            }
+
+            if (latency > CONFIG.DEGRADED_LATENCY) {
+                return result(CONNECTION.DEGRADED, latency, `Slow connection (${latency} ms)`);
+            }
+            return result(CONNECTION.ONLINE, latency, null);
+
+        } catch (e) {
+            // Timed out or no route - one miss is a flaky link, several in a row is offline
+            probeFailures++;
+            return probeFailures >= CONFIG.OFFLINE_AFTER_FAILURES
+                ? result(CONNECTION.OFFLINE, null, 'Server not reachable')
+                : result(CONNECTION.DEGRADED, null, 'Heartbeat timed out');
+        } finally {
+            clearTimeout(timeoutId);
+        }
+    }
+
+    /**
+     * Probe now, apply the result and schedule the next heartbeat (leader tab only)
+     */
+    async function heartbeat() {
+        clearTimeout(heartbeatTimer);
+        heartbeatTimer = null;
+
+        setConnection(await probeConnectivity());
+
+        if (isLeader) {
+            const interval = connection === CONNECTION.ONLINE
+                ? CONFIG.HEARTBEAT_INTERVAL
+                : CONFIG.HEARTBEAT_RETRY_INTERVAL;
+            clearTimeout(heartbeatTimer);
+            heartbeatTimer = setTimeout(heartbeat, interval);
+        }
+    }
+
+    function stopHeartbeat() {
+        clearTimeout(heartbeatTimer);
+        heartbeatTimer = null;
+    }
+
+    /**
+     * Apply a heartbeat result. Every state change is announced to listeners ('connection'),
+     * along with 'online' / 'offline' when reachability itself flips.
+     */
+    function setConnection(probe, fromTab = false) {
+        const previous = connection;
+        lastProbe = probe;
+        connection = probe.state;
+        isOnline = connection !== CONNECTION.OFFLINE;
+
+        if (!fromTab) {
+            postToTabs({ type: 'connection', probe });
+        }
+
         updateUI();
+        if (connection === previous) return;
+
+        console.log(`Connection: ${previous} → ${connection}`, probe.reason || '');
+        notifyListeners('connection', { ...probe, previous });
+        if (previous === CONNECTION.OFFLINE) {
+            notifyListeners('online');
+        } else if (connection === CONNECTION.OFFLINE) {
+            notifyListeners('offline');
+        }
 
-        // Start sync interval if online
-        if (isOnline) {
+        if (!isLeader) return;
+        if (connection === CONNECTION.OFFLINE) {
+            stopSyncInterval();
+        } else {
+            // Sync loop pace follows the connection
             startSyncInterval();
+            if (previous === CONNECTION.OFFLINE) {
+                syncQueue();
+            }
+        }
+    }
+
+    /**
+     * Check connectivity now and apply the result
+     * @returns {Promise<boolean>} Whether the server is reachable (online or degraded)
+     */
+    async function verifyConnectivity() {
+        if (isLeader) {
+            await heartbeat();
+        } else {
+            setConnection(await probeConnectivity());
+        }
+        return isOnline;
+    }
+
+    /**
+     * Get current online status
+     */
+    function getStatus() {
+        return {
+            online: isOnline,
+            connection,
+            latency: lastProbe.latency,
+            reason: lastProbe.reason,
+            checkedAt: lastProbe.checkedAt,
+            syncing: isSyncing,
+            leader: isLeader
+        };
+    }
+
+    // ==========================================
+    // UI Updates
+    // ==========================================
+
+    function updateUI() {
+        const indicator = document.getElementById('offline-indicator');
+        const badge = document.getElementById('queue-badge');
+        
+        if (indicator) {
+            const titles = {
+                [CONNECTION.ONLINE]: lastProbe.latency !== null ? `Connected (${lastProbe.latency} ms)` : 'Connected',
+                [CONNECTION.DEGRADED]: `Poor connection - ${lastProbe.reason || 'slow responses'}. Showing saved data where possible`,
+                [CONNECTION.OFFLINE]: `Offline${lastProbe.reason ? ` (${lastProbe.reason})` : ''} - changes will sync when online`
+            };
+            Object.values(CONNECTION).forEach(state => indicator.classList.toggle(state, state === connection));
+            indicator.setAttribute('title', titles[connection]);
+        }
+
+        // Update queue badge
+        updateQueueBadge();
+    }
+
+    async function updateQueueBadge() {
+        const badge = document.getElementById('queue-badge');
+        if (!badge) return;
+
+        try {
+            const queue = await ORBStorage.queue.getAll();
+            if (queue.length > 0) {
+                badge.textContent = queue.length;
+                badge.classList.add('visible');
+            } else {
+                badge.classList.remove('visible');
+            }
+            badge.classList.toggle('attention', queue.some(item => item.state === QUEUE_STATE.NEEDS_ATTENTION));
+        } catch (e) {
+            console.error('Failed to update queue badge:', e);
+        }
+
+        renderQueuePanel();
+        renderLogoutPanel();
+
+        // Re-measure straight away while a warning is up so it clears as soon as the queue drains
+        ORBStorage.ready()
+            .then(() => ORBStorage.quota.check({ force: ORBStorage.quota.status().atRisk }))
+            .catch(e => console.warn('Storage check failed:', e));
+    }
+
+    // ==========================================
+    // Storage Pressure
+    // ==========================================
+
+    let storageWarned = false;
+
+    function formatBytes(bytes) {
+        if (bytes < 1024) return `${bytes} B`;
+        if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+        if (bytes < 1024 * 1024 * 1024) return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+        return `${(bytes / (1024 * 1024 * 1024)).toFixed(1)} GB`;
+    }
+
+    /**
+     * Show (or clear) the storage warning after each ORBStorage quota check
+     */
+    function updateStorageWarning(status) {
+        const banner = document.getElementById('storage-banner');
+
+        if (status.atRisk && !storageWarned) {
+            showToast('Device storage is almost full - sync soon so unsynced entries are not lost', 'error');
+        }
+        storageWarned = status.atRisk;
+
+        if (banner) {
+            if (status.atRisk) {
+                const reason = status.writeFailed
+                    ? 'The last save failed because storage is full.'
+                    : `Storage is ${Math.round(status.ratio * 100)}% full${status.persisted ? '' : ' and the browser may clear it'}.`;
+                banner.innerHTML = `
+                    <div>
+                        <div class="storage-title">⚠ ${status.pending} unsynced item(s) at risk</div>
+                        <div class="rejected-hint">${reason} Sync now, or free up space on this device.</div>
+                    </div>
+                    <button type="button" class="btn btn-sm btn-primary" data-action="sync" ${isOnline && !isSyncing ? '' : 'disabled'}>Sync Now</button>
+                `;
+                banner.querySelector('[data-action="sync"]').addEventListener('click', () => syncQueue());
+                banner.hidden = false;
+            } else {
+                banner.hidden = true;
+                banner.innerHTML = '';
+            }
+        }
+
+        renderQueuePanel();
+    }
+
+    /**
+     * One-line usage summary for the queue inspector
+     */
+    function describeStorage(status) {
+        if (!status.checkedAt) return '';
+
+        const labels = {
+            request_queue: 'Queue',
+            rejected_requests: 'Rejected',
+            form_data: 'Drafts',
+            sounding_tables: 'Tables',
+            api_cache: 'Cache'
+        };
+        const total = status.quota > 0
+            ? `${formatBytes(status.usage)} of ${formatBytes(status.quota)} (${Math.round(status.ratio * 100)}%)`
+            : formatBytes(status.usage);
+        const stores = Object.entries(labels)
+            .map(([store, label]) => `${label} ${formatBytes(status.stores[store] || 0)}`)
+            .join(' · ');
+
+        return `Storage: ${total}, ${status.persisted ? 'persistent' : 'best-effort'} · ${stores}`;
+    }
+
+    function setSyncing(syncing, fromTab = false) {
+        isSyncing = syncing;
+        const indicator = document.getElementById('offline-indicator');
+        if (indicator) {
+            indicator.classList.toggle('syncing', syncing);
+        }
+        if (!fromTab) {
+            postToTabs({ type: 'syncing', syncing });
+        }
+    }
+
+    // ==========================================
+    // Cross-Tab Coordination
+    // ==========================================
+
+    function openTabChannel() {
+        if (typeof BroadcastChannel === 'undefined') return;
+        tabChannel = new BroadcastChannel(CONFIG.TAB_CHANNEL);
+        tabChannel.addEventListener('message', event => handleTabMessage(event.data));
+    }
+
+    function postToTabs(message) {
+        if (!tabChannel) return;
+        try {
+            tabChannel.postMessage(message);
+        } catch (e) {
+            console.warn('Failed to reach other tabs:', e);
+        }
+    }
+
+    /**
+     * Elect the one tab that syncs. Web Locks hand the lock to a waiting tab when the
+     * leader closes; otherwise tabs compete for a localStorage lease the leader keeps renewing.
+     * Without BroadcastChannel tabs can't coordinate, so each syncs on its own
+     * (idempotency keys keep a double send harmless).
+     */
+    function electLeader() {
+        if (!tabChannel) {
+            becomeLeader();
+            return;
+        }
+
+        if (navigator.locks && typeof navigator.locks.request === 'function') {
+            navigator.locks.request(CONFIG.LEADER_LOCK, () => {
+                becomeLeader();
+                // Held for the life of the tab
+                return new Promise(() => {});
+            });
+            return;
+        }
+
+        renewLease();
+        setInterval(renewLease, CONFIG.LEADER_HEARTBEAT);
+        window.addEventListener('pagehide', releaseLease);
+    }
+
+    function renewLease() {
+        let lease = null;
+        try {
+            lease = JSON.parse(localStorage.getItem(CONFIG.LEADER_LEASE_KEY));
+        } catch (e) {
+            lease = null;
+        }
+
+        const now = Date.now();
+        if (!lease || lease.tabId === tabId || lease.expires < now) {
+            try {
+                localStorage.setItem(CONFIG.LEADER_LEASE_KEY, JSON.stringify({ tabId, expires: now + CONFIG.LEADER_LEASE_TTL }));
+            } catch (e) {
+                console.warn('Failed to store sync lease:', e);
+            }
+            if (!isLeader) becomeLeader();
+        } else if (isLeader) {
+            // Another tab won a simultaneous claim
+            resignLeader();
+        }
+    }
+
+    function releaseLease() {
+        if (!isLeader) return;
+        try {
+            localStorage.removeItem(CONFIG.LEADER_LEASE_KEY);
+        } catch (e) {
+            // Closing anyway - the lease expires on its own
+        }
+        postToTabs({ type: 'leader-gone' });
+    }
+
+    function becomeLeader() {
+        console.log('This tab now runs offline sync');
+        isLeader = true;
+        // A previous leader may have closed mid-sync
+        setSyncing(false);
+        heartbeat().then(() => {
+            if (isLeader && isOnline) {
+                startSyncInterval();
+                syncQueue();
+            }
+        });
+    }
+
+    function resignLeader() {
+        isLeader = false;
+        stopHeartbeat();
+        stopSyncInterval();
+    }
+
+    function handleTabMessage(message) {
+        if (!message) return;
+
+        switch (message.type) {
+            case 'event':
+                handleTabEvent(message.event, message.data);
+                break;
+            case 'syncing':
+                setSyncing(message.syncing, true);
+                break;
+            case 'connection':
+                setConnection(message.probe, true);
+                break;
+            case 'probe-request':
+                if (isLeader) heartbeat();
+                break;
+            case 'sync-request':
+                if (isLeader) syncQueue();
+                break;
+            case 'retry-request':
+                if (isLeader) retryQueued(message.id);
+                break;
+            case 'logout':
+                // Another tab logged out and wiped local data
+                window.location.href = CONFIG.LOGIN_URL;
+                break;
+            case 'leader-gone':
+                if (!isLeader && !(navigator.locks && typeof navigator.locks.request === 'function')) {
+                    renewLease();
+                }
+                break;
+        }
+    }
+
+    /**
+     * Mirror an event from another tab: refresh badge, banner and panel, then tell this tab's listeners
+     */
+    function handleTabEvent(event, data) {
+        switch (event) {
+            case 'synced':
+                showToast(`Synced ${data.success} request(s)`, 'success');
+                break;
+            case 'rejected':
+                showToast('An offline submission was rejected by the server - review needed', 'error', 6000);
+                break;
+            case 'retry_exhausted':
+                showToast(`Gave up retrying ${summarizeRequest(data)} - needs attention`, 'error', 6000);
+                break;
+        }
+
+        if (event === 'rejected' || event === 'rejected-resolved') {
+            updateRejectedBanner();
+        }
+        if (event !== 'cache-invalidated') {
+            updateQueueBadge();
+        }
+        notifyListeners(event, data, true);
+    }
+
+    // ==========================================
+    // Toast Notifications
+    // ==========================================
+
+    function showToast(message, type = 'info', duration = 3000) {
+        const container = document.getElementById('toast-container');
+        if (!container) {
+            console.log(`[${type}] ${message}`);
+            return;
+        }
+
+        const toast = document.createElement('div');
+        toast.className = `toast toast-${type}`;
+        
+        const icons = {
+            success: '✓',
+            error: '✗',
+            warning: '⚠',
+            info: 'ℹ',
+            sync: '↻'
+        };
+        
+        // Messages can carry queued user data - always text, never markup
+        const icon = document.createElement('span');
+        icon.className = 'toast-icon';
+        icon.textContent = icons[type] || icons.info;
+        const text = document.createElement('span');
+        text.className = 'toast-message';
+        text.textContent = message;
+        toast.append(icon, text);
+
+        container.appendChild(toast);
+
+        // Trigger animation
+        requestAnimationFrame(() => {
+            toast.classList.add('show');
+        });
+
+        // Remove after duration
+        setTimeout(() => {
+            toast.classList.remove('show');
+            setTimeout(() => toast.remove(), 300);
+        }, duration);
+    }
+
+    // ==========================================
+    // Request Queue & Sync
+    // ==========================================
+
+    /**
+     * Queue a failed request for later retry
+     * @returns {Promise<number|null>} Queue item id, or null if it could not be stored
+     */
+    async function queueFailedRequest(endpoint, method, data, headers = {}, timestamp = Date.now()) {
+        const request = {
+            endpoint,
+            method,
+            data,
+            headers: { ...headers },
+            stream: getQueueStream(endpoint),
+            timestamp
+        };
+
+        try {
+            request.id = await ORBStorage.queue.add(request);
+            requestBackgroundSync();
+            updateQueueBadge();
+            showToast('Saved offline - will sync when connected', 'warning');
+            notifyListeners('queued', request);
+            return request.id;
+        } catch (e) {
+            console.error('Failed to queue request:', e);
+            showToast(e.name === 'StorageLockedError' ? e.message : 'Failed to save offline', 'error');
+            return null;
+        }
+    }
+
+    /**
+     * Streams held back by a request the server rejected - later writes may depend on it
+     */
+    async function getBlockedStreams() {
+        try {
+            const rejected = await ORBStorage.rejected.getAll();
+            return new Set(rejected.map(r => r.stream || getQueueStream(r.endpoint)));
+        } catch (e) {
+            console.error('Failed to read rejected requests:', e);
+            return new Set();
+        }
+    }
+
+    /**
+     * Process the queue. Each stream replays strictly in order and stops at its first
+     * item that isn't due or fails; other streams keep going.
+     */
+    async function syncQueue() {
+        if (!isLeader) {
+            postToTabs({ type: 'sync-request' });
+            return;
+        }
+        if (isSyncing || !isOnline) {
+            return;
+        }
+
+        setSyncing(true);
+        let counts = null;
+        try {
+            await ORBStorage.ready();
+            // The service worker may be replaying the same queue from Background Sync
+            counts = await ORBReplay.withReplayLock(async () => {
+                const streams = ORBReplay.dueStreams(await ORBStorage.queue.getAll(), await getBlockedStreams());
+                if (streams.length === 0) return null;
+
+                showToast(`Syncing ${streams.reduce((n, [, items]) => n + items.length, 0)} pending request(s)...`, 'sync');
+                return ORBReplay.replayStreams(streams, processQueueItem);
+            });
+        } catch (e) {
+            console.error('Queue sync failed:', e);
+        }
+        setSyncing(false);
+
+        if (counts) {
+            updateQueueBadge();
+
+            if (counts.success > 0) {
+                showToast(`Synced ${counts.success} request(s)`, 'success');
+                notifyListeners('synced', { success: counts.success, failed: counts.failed });
+            }
+
+            if (counts.failed > 0) {
+                showToast(`${counts.failed} stream(s) waiting to retry`, 'warning');
+            }
+
+            if (counts.rejected > 0) {
+                showToast(`${counts.rejected} request(s) rejected by the server - review needed`, 'error', 6000);
+            }
+        }
+
+        const remaining = await ORBStorage.queue.getAll();
+        scheduleNextAttempt(remaining, await getBlockedStreams());
+        if (remaining.length > 0) {
+            requestBackgroundSync();
+        }
+    }
+
+    /**
+     * Wake the sync loop when the earliest backed-off stream head comes due (if sooner than the interval)
+     */
+    function scheduleNextAttempt(queue, blocked) {
+        clearTimeout(nextAttemptTimer);
+        nextAttemptTimer = null;
+        if (!isOnline) return;
+
+        const now = Date.now();
+        const next = Object.entries(groupByStream(queue))
+            .filter(([stream]) => !blocked.has(stream))
+            .map(([, items]) => items[0])
+            .filter(head => !isHeld(head, now) && head.state !== QUEUE_STATE.NEEDS_ATTENTION && head.nextAttemptAt > now)
+            .map(head => head.nextAttemptAt)
+            .sort((a, b) => a - b)[0];
+        if (next === undefined) return;
+
+        const wait = next - now;
+        if (wait < CONFIG.SYNC_INTERVAL) {
+            nextAttemptTimer = setTimeout(syncQueue, wait + 50);
+        }
+    }
+
+    /**
+     * Record a failed attempt: schedule the next one, or give up and flag the item
+     */
+    async function recordFailedAttempt(item, error) {
+        const { changes, exhausted } = ORBReplay.failedAttempt(item, error);
+        await ORBStorage.queue.update(item.id, changes);
+        if (exhausted) {
+            showToast(`Gave up retrying ${summarizeRequest(item)} - needs attention`, 'error', 6000);
+            notifyListeners('retry_exhausted', { ...item, ...changes });
+        }
+    }
+
+    /**
+     * Send one queued item and settle it: dequeue on success, move to the rejected store on 4xx,
+     * back off on anything else
+     * @returns {Promise<'synced'|'rejected'|'pending'>}
+     */
+    async function processQueueItem(item) {
+        const result = await ORBReplay.send(item);
+        if (!result.done) {
+            await recordFailedAttempt(item, result.error);
+            return 'pending';
+        }
+
+        if (result.ok) {
+            await ORBStorage.queue.remove(item.id);
+            await invalidateCache(item.endpoint);
+        } else {
+            // Store before dequeuing so the entry is never lost
+            await rejectRequest(item, result);
+            await ORBStorage.queue.remove(item.id);
+        }
+
+        // Pages waiting on this request can swap in the server's response
+        notifyListeners('request-synced', {
+            id: item.id,
+            endpoint: item.endpoint,
+            method: item.method,
+            ok: result.ok,
+            status: result.status,
+            data: result.data
+        });
+        return result.ok ? 'synced' : 'rejected';
+    }
+
+    /**
+     * Retry one queued item now, ignoring backoff and any edit hold
+     * (an item that needs attention gets one more attempt and stays flagged if it fails)
+     */
+    async function retryQueued(id) {
+        if (isSyncing) {
+            showToast('Sync already in progress', 'info');
+            return;
+        }
+        if (!isOnline) {
+            showToast('Offline - will retry when connected', 'warning');
+            return;
+        }
+        if (!isLeader) {
+            // The syncing tab sends it; its events update this tab
+            postToTabs({ type: 'retry-request', id });
+            return;
+        }
+
+        const item = await ORBStorage.queue.get(id);
+        if (!item) return;
+        if (item.locked) {
+            showToast('This request is locked - sign in again to send it', 'warning');
+            return;
+        }
+
+        // Keep stream order - only the oldest item of a stream can go
+        const stream = item.stream || getQueueStream(item.endpoint);
+        const head = groupByStream(await ORBStorage.queue.getAll())[stream][0];
+        if (head.id !== item.id) {
+            showToast(`Waiting on an earlier ${stream} request - retry that one first`, 'info');
+            return;
+        }
+        if ((await getBlockedStreams()).has(stream)) {
+            showToast(`The ${stream} stream is waiting on a rejected submission - fix or discard it first`, 'warning');
+            return;
+        }
+
+        if (item.hold) {
+            await ORBStorage.queue.update(id, { hold: false });
+        }
+
+        setSyncing(true);
+        let outcome = 'pending';
+        try {
+            outcome = await ORBReplay.withReplayLock(async () => {
+                // The service worker may have sent it while we waited for the lock
+                const current = await ORBStorage.queue.get(id);
+                return current ? processQueueItem({ ...current, hold: false }) : 'synced';
+            });
+        } catch (e) {
+            console.error('Retry failed for item:', id, e);
+        }
+        setSyncing(false);
+        updateQueueBadge();
+
+        if (outcome === 'synced') {
+            showToast('Request synced', 'success');
+            notifyListeners('synced', { success: 1, failed: 0 });
+        } else if (outcome === 'rejected') {
+            showToast('Request rejected by the server - review needed', 'error', 6000);
+        } else {
+            showToast('Still failing - left in the queue', 'warning');
+        }
+    }
+
+    /**
+     * Remove one queued item without sending it
+     */
+    async function discardQueued(id) {
+        await ORBStorage.queue.remove(id);
+        updateQueueBadge();
+        notifyListeners('discarded', { id });
+    }
+
+    /**
+     * Readable queued writes to an endpoint, in the order they will replay - lets a page
+     * show what it submitted offline before the server has it. Locked items are left out.
+     */
+    async function getQueued(endpoint, method = 'POST') {
+        await ORBStorage.ready();
+        const queue = await ORBStorage.queue.getAll();
+        return queue
+            .filter(item => !item.locked && item.method === method && item.endpoint.split('?')[0] === endpoint)
+            .sort((a, b) => a.timestamp - b.timestamp || a.id - b.id);
+    }
+
+    // ==========================================
+    // Queue Inspector
+    // ==========================================
+
+    /**
+     * Human-readable one-liner for a queued request
+     */
+    function summarizeRequest(item) {
+        const data = item.data || {};
+        const day = value => (value ? String(value).slice(0, 10) : '?');
+        const sounding = reading => (reading ? `${reading.feet}' ${reading.inches}"` : '?');
+        const path = item.endpoint.split('?')[0];
+
+        if (item.locked) {
+            return `${item.method} ${path} (encrypted)`;
+        }
+
+        if (path === '/soundings') {
+            return `Sounding ${day(data.recorded_at)} · 17P ${sounding(data.tank_17p)} · 17S ${sounding(data.tank_17s)}`;
+        }
+        if (path === '/fuel-tickets') {
+            const used = data.meter_end - data.meter_start;
+            return `Fuel ticket ${day(data.ticket_date)} · ${data.meter_start} → ${data.meter_end}` +
+                (isNaN(used) ? '' : ` (${used.toFixed(1)} gal)`);
+        }
+        if (path === '/service-tanks/active') {
+            return `Service tank → #${data.tank_pair}`;
+        }
+        if (path === '/status-events') {
+            const labels = { sewage_pump: 'Sewage pumped', potable_load: 'Potable loaded' };
+            return `${labels[data.event_type] || data.event_type} ${day(data.event_date)}`;
+        }
+        if (path === '/equipment/bulk') {
+            const flagged = (data.updates || []).filter(u => u.status !== 'online').map(u => `${u.equipment_id} ${u.status}`);
+            return `Equipment status · ${flagged.length ? flagged.join(', ') : 'all online'}`;
+        }
+        if (path.startsWith('/equipment/')) {
+            return `${path.split('/')[2]} → ${data.status}`;
+        }
+        return `${item.method} ${item.endpoint}`;
+    }
+
+    // Bulk clear needs a second click on "Discard All"
+    let clearPending = false;
+
+    function openQueuePanel() {
+        const panel = document.getElementById('queue-panel');
+        if (!panel) return;
+        clearPending = false;
+        panel.classList.add('show');
+        renderQueuePanel();
+    }
+
+    function closeQueuePanel() {
+        const panel = document.getElementById('queue-panel');
+        if (panel) panel.classList.remove('show');
+    }
+
+    /**
+     * List every queued item with its age, retries, last error and actions
+     */
+    async function renderQueuePanel() {
+        const panel = document.getElementById('queue-panel');
+        if (!panel || !panel.classList.contains('show')) return;
+
+        const list = panel.querySelector('#queue-list');
+        const footer = panel.querySelector('#queue-panel-footer');
+
+        let queue = [];
+        try {
+            await ORBStorage.ready();
+            queue = await ORBStorage.queue.getAll();
+        } catch (e) {
+            console.error('Failed to load queue:', e);
+        }
+        const streams = groupByStream(queue);
+        const blocked = await getBlockedStreams();
+
+        const storage = panel.querySelector('#queue-storage');
+        if (storage) {
+            const status = ORBStorage.quota.status();
+            storage.textContent = describeStorage(status);
+            storage.classList.toggle('at-risk', status.atRisk);
+        }
+
+        if (queue.length === 0) {
+            list.innerHTML = '<div class="empty">Nothing waiting to sync.</div>';
+        } else {
+            list.innerHTML = queue
+                .sort((a, b) => a.timestamp - b.timestamp)
+                .map(item => {
+                    const form = getEndpointForm(item.endpoint);
+                    const stream = item.stream || getQueueStream(item.endpoint);
+                    const position = streams[stream].indexOf(item);
+                    let status = '';
+                    if (item.locked) {
+                        status = 'Locked - sign in again to read or send it';
+                    } else if (position === 0 && blocked.has(stream)) {
+                        status = 'Blocked - a rejected submission in this stream needs fixing first';
+                    } else if (position > 0) {
+                        status = `Waiting on ${position} earlier ${stream} request(s)`;
+                    } else if (isHeld(item)) {
+                        status = 'On hold (being edited)';
+                    } else if (item.state === QUEUE_STATE.NEEDS_ATTENTION) {
+                        status = `Needs attention - gave up after ${item.retryCount} attempts`;
+                    } else if (item.nextAttemptAt > Date.now()) {
+                        status = `Next attempt ${new Date(item.nextAttemptAt).toLocaleTimeString()}`;
+                    }
+                    return `
+                        <li class="queue-item ${item.state === QUEUE_STATE.NEEDS_ATTENTION ? 'needs-attention' : ''}" data-id="${item.id}">
+                            <div class="queue-item-info">
+                                <span class="queue-item-summary">${escapeHTML(summarizeRequest(item))}</span>
+                                <span class="queue-item-meta">
+                                    ${stream} · ${item.method} ${escapeHTML(item.endpoint)} · ${ORB.format.timeAgo(item.timestamp)} · ${item.retryCount || 0} retr${item.retryCount === 1 ? 'y' : 'ies'}
+                                </span>
+                                ${item.lastError ? `<span class="queue-item-error">Last error: ${escapeHTML(item.lastError)}</span>` : ''}
+                                ${status ? `<span class="queue-item-error">${status}</span>` : ''}
+                            </div>
+                            <div class="queue-item-actions">
+                                ${item.locked ? '' : '<button type="button" class="btn btn-sm btn-primary" data-action="retry">Retry now</button>'}
+                                ${form.page && !item.locked ? '<button type="button" class="btn btn-sm btn-secondary" data-action="edit">Edit</button>' : ''}
+                                <button type="button" class="btn btn-sm btn-secondary" data-action="discard">Discard</button>
+                            </div>
+                        </li>
+                    `;
+                }).join('');
+        }
+
+        footer.innerHTML = clearPending
+            ? `
+                <span class="queue-confirm">Discard all ${queue.length} pending request(s)? This cannot be undone.</span>
+                <button type="button" class="btn btn-secondary" data-action="clear-cancel">Cancel</button>
+                <button type="button" class="btn btn-danger" data-action="clear-confirm">Discard All</button>
+            `
+            : `
+                <button type="button" class="btn btn-secondary" data-action="clear" ${queue.length ? '' : 'disabled'}>Clear All</button>
+                <button type="button" class="btn btn-secondary" data-action="export">Export</button>
+                <button type="button" class="btn btn-secondary" data-action="import">Import</button>
+                <input type="file" id="backup-file" accept="application/json,.json" hidden>
+                <button type="button" class="btn btn-primary" data-action="sync" ${queue.length && isOnline ? '' : 'disabled'}>Sync Now</button>
+            `;
+    }
+
+    async function handleQueuePanelClick(event) {
+        const button = event.target.closest('[data-action]');
+        if (!button) {
+            if (event.target.classList.contains('modal-backdrop')) closeQueuePanel();
+            return;
+        }
+
+        const row = button.closest('.queue-item');
+        const item = row ? (await ORBStorage.queue.getAll()).find(i => String(i.id) === row.dataset.id) : null;
+
+        switch (button.dataset.action) {
+            case 'close':
+                closeQueuePanel();
+                return;
+            case 'retry':
+                if (item) await retryQueued(item.id);
+                break;
+            case 'edit':
+                if (item) window.location.href = `${getEndpointForm(item.endpoint).page}?queued=${item.id}`;
+                return;
+            case 'discard':
+                if (item && confirm(`Discard "${summarizeRequest(item)}"? It will not be sent.`)) {
+                    await discardQueued(item.id);
+                }
+                break;
+            case 'sync':
+                await syncQueue();
+                break;
+            case 'export':
+                await exportBackup();
+                break;
+            case 'import': {
+                // The footer re-renders, so pick the file before anything else touches it
+                const input = document.getElementById('backup-file');
+                input.onchange = () => {
+                    if (input.files.length) importBackup(input.files[0]);
+                };
+                input.click();
+                return;
+            }
+            case 'clear':
+                clearPending = true;
+                break;
+            case 'clear-cancel':
+                clearPending = false;
+                break;
+            case 'clear-confirm':
+                clearPending = false;
+                await ORBStorage.queue.clear();
+                updateQueueBadge();
+                notifyListeners('queue-cleared');
+                showToast('Pending queue cleared', 'warning');
+                break;
+        }
+        renderQueuePanel();
+    }
+
+    // ==========================================
+    // Logout
+    // ==========================================
+
+    // Set once the pending items were downloaded from the logout panel
+    let logoutExported = false;
+
+    async function getUnsynced() {
+        await ORBStorage.ready();
+        const [queue, rejected] = await Promise.all([ORBStorage.queue.getAll(), ORBStorage.rejected.getAll()]);
+        return { queue, rejected };
+    }
+
+    /**
+     * Intercept logout links: with nothing unsynced log straight out, otherwise ask first
+     */
+    async function handleLogoutClick(event) {
+        const link = event.target.closest(`a[href="${CONFIG.LOGOUT_URL}"]`);
+        if (!link) return;
+        event.preventDefault();
+
+        const { queue, rejected } = await getUnsynced();
+        if (queue.length + rejected.length === 0) {
+            await finishLogout();
+            return;
+        }
+
+        logoutExported = false;
+        document.getElementById('logout-panel').classList.add('show');
+        renderLogoutPanel();
+    }
+
+    function closeLogoutPanel() {
+        document.getElementById('logout-panel').classList.remove('show');
+    }
+
+    async function renderLogoutPanel() {
+        const panel = document.getElementById('logout-panel');
+        if (!panel || !panel.classList.contains('show')) return;
+
+        const { queue, rejected } = await getUnsynced();
+        const summary = panel.querySelector('#logout-summary');
+        const footer = panel.querySelector('#logout-panel-footer');
+        const remaining = queue.length + rejected.length;
+
+        if (remaining === 0) {
+            summary.innerHTML = '<p>Everything has synced. Nothing will be lost.</p>';
+        } else {
+            const parts = [];
+            if (queue.length) parts.push(`${queue.length} request(s) waiting to sync`);
+            if (rejected.length) parts.push(`${rejected.length} rejected submission(s) waiting to be fixed`);
+            summary.innerHTML = `
+                <p>${parts.join(' and ')} are stored only on this device.</p>
+                <p>Logging out deletes your offline data from this tablet. Sync now, or export a copy first.</p>
+                ${logoutExported ? '<p class="rejected-hint">✓ Exported</p>' : ''}
+            `;
+        }
+
+        const safe = remaining === 0 || logoutExported;
+        footer.innerHTML = `
+            <button type="button" class="btn btn-secondary" data-action="close">Cancel</button>
+            ${remaining ? '<button type="button" class="btn btn-secondary" data-action="export">Export</button>' : ''}
+            ${queue.length ? `<button type="button" class="btn btn-primary" data-action="sync" ${isOnline && !isSyncing ? '' : 'disabled'}>Sync Now</button>` : ''}
+            <button type="button" class="btn ${safe ? 'btn-primary' : 'btn-danger'}" data-action="logout">
+                ${safe ? 'Log Out' : 'Discard & Log Out'}
+            </button>
+        `;
+    }
+
+    async function handleLogoutPanelClick(event) {
+        const button = event.target.closest('[data-action]');
+        if (!button) {
+            if (event.target.classList.contains('modal-backdrop')) closeLogoutPanel();
+            return;
+        }
+
+        switch (button.dataset.action) {
+            case 'close':
+                closeLogoutPanel();
+                return;
+            case 'export':
+                logoutExported = await exportBackup();
+                break;
+            case 'sync':
+                // Results arrive as events and re-render the panel
+                await syncQueue();
+                break;
+            case 'logout':
+                await finishLogout();
+                return;
+        }
+        renderLogoutPanel();
+    }
+
+    // ==========================================
+    // Backup Files
+    // ==========================================
+
+    /**
+     * Download unsynced requests, rejected submissions and drafts as a backup file (ORBBackup)
+     * @returns {Promise<boolean>} Whether a file was written
+     */
+    async function exportBackup() {
+        try {
+            const { counts, skipped } = await ORBBackup.exportToFile();
+            showToast(`Exported ${counts.queue} queued, ${counts.rejected} rejected and ${counts.forms} draft(s)`, 'success');
+            if (skipped > 0) {
+                showToast(`${skipped} locked item(s) left out - sign in again to export them`, 'warning');
+            }
+            return true;
+        } catch (e) {
+            console.error('Backup export failed:', e);
+            showToast('Export failed', 'error');
+            return false;
+        }
+    }
+
+    /**
+     * Load a backup file from another device and send what's new through the normal sync
+     */
+    async function importBackup(file) {
+        let checked;
+        try {
+            checked = await ORBBackup.readFile(file);
+        } catch (e) {
+            showToast(e.message, 'error');
+            return;
+        }
+
+        const { bundle, signed, foreignUser } = checked;
+        if (foreignUser && !confirm(`This backup was exported by ${foreignUser.username}. Its entries will be sent under your account. Import anyway?`)) {
+            return;
+        }
+        if (!foreignUser && signed === null) {
+            console.warn('Backup signature could not be checked (no storage key this session)');
+        }
+
+        let counts;
+        try {
+            counts = await ORBBackup.importBundle(bundle);
+        } catch (e) {
+            console.error('Backup import failed:', e);
+            showToast(e.name === 'StorageLockedError' ? e.message : 'Import failed', 'error');
+            return;
+        }
+
+        const parts = [`${counts.queued} queued`, `${counts.rejected} rejected`, `${counts.forms} draft(s)`];
+        showToast(`Imported ${parts.join(', ')}` + (counts.duplicates ? ` - ${counts.duplicates} already here` : ''), 'success');
+
+        if (counts.queued || counts.rejected) {
+            notifyListeners('queue-changed', { imported: counts });
+            updateQueueBadge();
+            updateRejectedBanner();
+            requestBackgroundSync();
+            syncQueue();
+        }
+    }
+
+    /**
+     * Stop syncing, wipe this user's local data, then end the server session
+     */
+    async function finishLogout() {
+        stopHeartbeat();
+        stopSyncInterval();
+        postToTabs({ type: 'logout' });
+        try {
+            await ORBStorage.purge();
+        } catch (e) {
+            console.error('Failed to remove local data on logout:', e);
+        }
+        window.location.href = CONFIG.LOGOUT_URL;
+    }
+
+    // ==========================================
+    // Rejected Requests
+    // ==========================================
+
+    /**
+     * Move a queued request the server refused (4xx) into the rejected store
+     */
+    async function rejectRequest(item, result) {
+        const record = ORBReplay.rejection(item, result);
+        record.id = await ORBStorage.rejected.add(record);
+        console.warn('Request rejected by server, kept for review:', record.endpoint, result.status);
+        notifyListeners('rejected', record);
+        updateRejectedBanner();
+        return record;
+    }
+
+    function getEndpointForm(endpoint) {
+        const prefix = matchPrefix(CONFIG.ENDPOINT_FORMS, endpoint);
+        return prefix ? CONFIG.ENDPOINT_FORMS[prefix] : { page: null, label: endpoint };
+    }
+
+    /**
+     * One-line description of why the server rejected a request, including field errors
+     */
+    function describeRejection(record) {
+        let message = record.error;
+        if (record.details) {
+            const fields = Object.entries(record.details)
+                .map(([field, errors]) => `${field}: ${[].concat(errors).join(', ')}`);
+            message += ` - ${fields.join('; ')}`;
+        }
+        return message;
+    }
+
+    /**
+     * Persistent banner listing rejected requests - stays until each one is fixed or discarded
+     */
+    async function updateRejectedBanner() {
+        const banner = document.getElementById('rejected-banner');
+        if (!banner) return;
+
+        let records = [];
+        try {
+            await ORBStorage.ready();
+            records = await ORBStorage.rejected.getAll();
+        } catch (e) {
+            console.error('Failed to load rejected requests:', e);
+        }
+
+        if (records.length === 0) {
+            banner.hidden = true;
+            banner.innerHTML = '';
+            return;
+        }
+
+        banner.innerHTML = `
+            <div class="rejected-title">⚠ ${records.length} offline submission(s) rejected by the server</div>
+            <div class="rejected-hint">Later queued requests of the same kind wait until each one is fixed or discarded.</div>
+            <ul class="rejected-list">
+                ${records.map(record => {
+                    const form = getEndpointForm(record.endpoint);
+                    let fix = form.page
+                        ? `<a class="btn btn-sm btn-primary" href="${form.page}?rejected=${record.id}">Fix</a>`
+                        : '';
+                    if (record.conflict) {
+                        fix = `<button type="button" class="btn btn-sm btn-primary" data-resolve="${record.id}">Resolve</button>`;
+                    }
+                    return `
+                        <li class="rejected-item">
+                            <div class="rejected-info">
+                                <span class="rejected-label">${form.label} · ${new Date(record.queuedAt).toLocaleString()}</span>
+                                <span class="rejected-error">${escapeHTML(describeRejection(record))}</span>
+                            </div>
+                            <div class="rejected-actions">
+                                ${fix}
+                                <button type="button" class="btn btn-sm btn-secondary" data-discard="${record.id}">Discard</button>
+                            </div>
+                        </li>
+                    `;
+                }).join('')}
+            </ul>
+        `;
+        banner.hidden = false;
+
+        banner.querySelectorAll('[data-resolve]').forEach(btn => {
+            btn.addEventListener('click', () => {
+                const record = records.find(r => String(r.id) === btn.dataset.resolve);
+                if (record) settleRejectedConflict(record);
+            });
+        });
+
+        banner.querySelectorAll('[data-discard]').forEach(btn => {
+            btn.addEventListener('click', () => {
+                const record = records.find(r => String(r.id) === btn.dataset.discard);
+                if (record && confirm(`Discard this ${getEndpointForm(record.endpoint).label.toLowerCase()}? It will not be recorded.`)) {
+                    discardRejected(record.id);
+                }
+            });
+        });
+    }
+
+    function escapeHTML(text) {
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML;
+    }
+
+    /**
+     * Load the submission named in ?rejected=<id> (rejected store) or ?queued=<id> (pending queue)
+     * if it belongs to this page's form, and explain at the top of the page what is being edited.
+     * Queued items are put on hold so they don't sync while being edited.
+     * @param {string|string[]} endpointPrefixes - Endpoint(s) the page's forms post to
+     * @returns {Promise<Object|null>} The record, with source 'rejected' or 'queue', queuedAt and
+     *   idempotencyKey - pass both as the resubmission's options so it keeps the original's place in
+     *   its stream, and can't be recorded twice if the original reached the server after all
+     */
+    async function openEdit(endpointPrefixes) {
+        const params = new URLSearchParams(window.location.search);
+        const source = params.has('rejected') ? 'rejected' : params.has('queued') ? 'queue' : null;
+        if (!source) return null;
+
+        const param = params.get(source === 'rejected' ? 'rejected' : 'queued');
+        await ORBStorage.ready();
+        const records = await ORBStorage[source].getAll();
+        const record = records.find(r => String(r.id) === param);
+        if (!record) {
+            showToast(source === 'rejected'
+                ? 'That rejected submission was already resolved'
+                : 'That queued submission has already synced', 'info');
+            return null;
+        }
+
+        const path = record.endpoint.split('?')[0];
+        const matches = [].concat(endpointPrefixes)
+            .some(prefix => path === prefix || path.startsWith(prefix + '/'));
+        if (!matches) {
+            return null;
+        }
+
+        if (source === 'queue' && !isHeld(record)) {
+            await holdForEdit(record.id);
+        }
+
+        const notice = document.createElement('div');
+        notice.className = 'rejected-notice';
+        notice.id = `edit-notice-${source}-${record.id}`;
+        notice.innerHTML = source === 'rejected'
+            ? `
+                <strong>Rejected by the server (${record.status}):</strong>
+                <span>${escapeHTML(describeRejection(record))}</span>
+                <span class="rejected-hint">Correct the form below and submit again.</span>
+            `
+            : `
+                <strong>Editing a queued submission</strong>
+                <span>${escapeHTML(summarizeRequest(record))}</span>
+                <span class="rejected-hint">It is on hold and will be replaced when you submit.</span>
+            `;
+        const header = document.querySelector('.page-header');
+        if (header) {
+            header.appendChild(notice);
+        }
+
+        return {
+            ...record,
+            source,
+            queuedAt: record.queuedAt ?? record.timestamp,
+            idempotencyKey: record.headers ? record.headers[CONFIG.IDEMPOTENCY_HEADER] : undefined
+        };
+    }
+
+    /**
+     * Hold a queued item while this page edits it. The hold is leased (RULES.EDIT_HOLD_LEASE) and
+     * let go when the page is left, so an abandoned edit can't block its stream; a page restored
+     * from the back/forward cache takes it again.
+     */
+    async function holdForEdit(id) {
+        const held = await ORBStorage.queue.update(id, {
+            hold: true,
+            holdUntil: Date.now() + ORBReplay.RULES.EDIT_HOLD_LEASE
+        });
+        if (!held) return; // Synced in the meantime
+
+        renderQueuePanel();
+        notifyListeners('queue-changed', { id });
+
+        if (!editHolds.has(id)) {
+            const handlers = {
+                pagehide: () => {
+                    ORBStorage.queue.update(id, { hold: false, holdUntil: null }).catch(() => {});
+                },
+                pageshow: (event) => {
+                    if (event.persisted) holdForEdit(id);
+                }
+            };
+            Object.entries(handlers).forEach(([type, handler]) => window.addEventListener(type, handler));
+            editHolds.set(id, handlers);
+        }
+    }
+
+    function forgetEditHold(id) {
+        const handlers = editHolds.get(id);
+        if (!handlers) return;
+        Object.entries(handlers).forEach(([type, handler]) => window.removeEventListener(type, handler));
+        editHolds.delete(id);
+    }
+
+    /**
+     * Drop the original once an edited submission has been resubmitted
+     * @param {Object} record - Record returned by openEdit()
+     */
+    async function resolveEdit(record) {
+        forgetEditHold(record.id);
+        try {
+            await ORBStorage[record.source].remove(record.id);
+        } catch (e) {
+            console.error('Failed to remove edited request:', e);
+        }
+        const notice = document.getElementById(`edit-notice-${record.source}-${record.id}`);
+        if (notice) notice.remove();
+        if (/[?&](rejected|queued)=/.test(window.location.search)) {
+            history.replaceState(null, '', window.location.pathname);
+        }
+
+        if (record.source === 'rejected') {
+            updateRejectedBanner();
+            notifyListeners('rejected-resolved', { id: record.id });
+            syncQueue();
+        } else {
+            updateQueueBadge();
+            notifyListeners('discarded', { id: record.id });
+        }
+    }
+
+    async function discardRejected(id) {
+        try {
+            await ORBStorage.rejected.remove(id);
+        } catch (e) {
+            console.error('Failed to remove rejected request:', e);
+        }
+        updateRejectedBanner();
+        notifyListeners('rejected-resolved', { id });
+
+        // Its stream may be unblocked now
+        syncQueue();
+    }
+
+    // ==========================================
+    // Edit Conflicts
+    // ==========================================
+
+    // Dialog currently open: { fields, data, resolve }
+    let activeConflict = null;
+
+    /**
+     * Ask how to settle a write the server refused with 409 because the record changed since
+     * it was loaded. Each differing field is shown with both values and a per-field choice.
+     * @param {Object} data - Request body that was refused
+     * @param {Object} conflict - { version, fields: [{path, label?, mine, theirs}] } from the server
+     * @returns {Promise<{choice: 'mine'|'theirs'|'merge'|'cancel', data: Object|null}>}
+     *          data is the body to send again (with If-Match: conflict.version) for mine/merge
+     */
+    function resolveConflict(data, conflict, label) {
+        const panel = document.getElementById('conflict-panel');
+        if (!panel) {
+            return Promise.resolve({ choice: 'cancel', data: null });
+        }
+        if (activeConflict) {
+            activeConflict.resolve({ choice: 'cancel', data: null });
         }
 
-        console.log('ORBOffline initialized, online:', isOnline);
+        return new Promise(resolve => {
+            activeConflict = { fields: conflict.fields || [], data, resolve };
+            panel.querySelector('#conflict-title').textContent = `${label} changed on the server`;
+            panel.querySelector('#conflict-body').innerHTML = `
+                <p>Someone saved this after you loaded it. Choose which value to keep for each field.</p>
+                <table class="conflict-table">
+                    <thead><tr><th>Field</th><th>Yours</th><th>Server</th></tr></thead>
+                    <tbody>
+                        ${activeConflict.fields.map((field, index) => `
+                            <tr>
+                                <td class="conflict-field">${escapeHTML(field.label || field.path.replace(/[._]/g, ' '))}</td>
+                                <td><label class="conflict-option">
+                                    <input type="radio" name="conflict-${index}" value="mine" checked>
+                                    ${escapeHTML(formatConflictValue(field.mine))}
+                                </label></td>
+                                <td><label class="conflict-option">
+                                    <input type="radio" name="conflict-${index}" value="theirs">
+                                    ${escapeHTML(formatConflictValue(field.theirs))}
+                                </label></td>
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+            `;
+            panel.classList.add('show');
+        });
     }
 
-    function handleOnline() {
-        console.log('Network: online');
-        isOnline = true;
-        updateUI();
-        notifyListeners('online');
-        
-        // Trigger sync when coming back online
-        syncQueue();
-        startSyncInterval();
+    function closeConflictPanel(choice) {
+        const panel = document.getElementById('conflict-panel');
+        if (!activeConflict) return;
+
+        const { fields, data, resolve } = activeConflict;
+        activeConflict = null;
+        panel.classList.remove('show');
+
+        if (choice === 'merge') {
+            const merged = JSON.parse(JSON.stringify(data));
+            fields.forEach((field, index) => {
+                const picked = panel.querySelector(`input[name="conflict-${index}"]:checked`);
+                if (picked && picked.value === 'theirs') {
+                    setPath(merged, field.path, field.theirs);
+                }
+            });
+            resolve({ choice, data: merged });
+        } else {
+            resolve({ choice, data: choice === 'mine' ? data : null });
+        }
     }
 
-    function handleOffline() {
-        console.log('Network: offline');
-        isOnline = false;
-        updateUI();
-        notifyListeners('offline');
-        stopSyncInterval();
+    function handleConflictPanelClick(event) {
+        const button = event.target.closest('[data-choice]');
+        if (button) {
+            closeConflictPanel(button.dataset.choice);
+        } else if (event.target.classList.contains('modal-backdrop')) {
+            closeConflictPanel('cancel');
+        }
     }
 
     /**
-     * Verify connectivity with actual request (navigator.onLine can be unreliable)
+     * Write a value at a dotted path ("draft_aft.feet", "updates.0.status") in a request body
      */
-    async function verifyConnectivity() {
-        try {
-            const controller = new AbortController();
-            const timeoutId = setTimeout(() => controller.abort(), CONFIG.PING_TIMEOUT);
-            
-            const response = await fetch(CONFIG.PING_ENDPOINT, {
-                method: 'HEAD',
-                cache: 'no-store',
-                signal: controller.signal
-            });
-            
-            clearTimeout(timeoutId);
-            return response.ok;
-        } catch (e) {
-            return false;
+    function setPath(target, path, value) {
+        const keys = path.split('.');
+        const last = keys.pop();
+        const parent = keys.reduce((node, key) => (node[key] = node[key] || {}), target);
+        parent[last] = value;
+    }
+
+    function formatConflictValue(value) {
+        if (value === null || value === undefined || value === '') return '—';
+        if (Array.isArray(value)) {
+            return value.map(item => item && item.tank_number
+                ? `#${item.tank_number} ${item.side}: ${item.gallons} gal`
+                : formatConflictValue(item)).join(', ');
         }
+        if (typeof value === 'object') return JSON.stringify(value);
+        return String(value);
     }
 
     /**
-     * Get current online status
+     * A live write came back 409 - ask, then send again or keep the server's copy.
+     * Keeping the server's copy settles the write (ok) without sending anything.
      */
-    function getStatus() {
-        return {
-            online: isOnline,
-            syncing: isSyncing
-        };
+    async function settleLiveConflict(endpoint, options, response) {
+        const { conflict } = response.data;
+        const { choice, data } = await resolveConflict(options.data, conflict, getEndpointForm(endpoint).label);
+
+        if (choice === 'mine' || choice === 'merge') {
+            return request(endpoint, { ...options, data, ifMatch: conflict.version });
+        }
+        if (choice === 'theirs') {
+            await invalidateCache(endpoint);
+            showToast('Kept the server\'s version - your change was not saved', 'info');
+        }
+        return { ...response, ok: choice === 'theirs', resolution: choice };
     }
 
-    // ==========================================
-    // UI Updates
-    // ==========================================
+    /**
+     * A queued write came back 409 while replaying - settle it from the rejected banner.
+     * Mine/merge go back into the queue at the original position with the new version.
+     */
+    async function settleRejectedConflict(record) {
+        const { choice, data } = await resolveConflict(record.data, record.conflict, getEndpointForm(record.endpoint).label);
+        if (choice === 'cancel') return;
 
-    function updateUI() {
-        const indicator = document.getElementById('offline-indicator');
-        const badge = document.getElementById('queue-badge');
-        
-        if (indicator) {
-            indicator.classList.toggle('online', isOnline);
-            indicator.classList.toggle('offline', !isOnline);
-            indicator.setAttribute('title', isOnline ? 'Connected' : 'Offline - changes will sync when online');
+        if (choice !== 'theirs') {
+            try {
+                await ORBStorage.queue.add({
+                    endpoint: record.endpoint,
+                    method: record.method,
+                    data,
+                    headers: {
+                        [CONFIG.IDEMPOTENCY_HEADER]: generateRequestId(),
+                        ...record.headers, // the original's key, if it has one - a 409 isn't recorded against it
+                        'If-Match': record.conflict.version
+                    },
+                    stream: record.stream || getQueueStream(record.endpoint),
+                    timestamp: record.queuedAt
+                });
+            } catch (e) {
+                console.error('Failed to queue resolved request:', e);
+                showToast(e.name === 'StorageLockedError' ? e.message : 'Failed to save offline', 'error');
+                return;
+            }
+            updateQueueBadge();
+            notifyListeners('queue-changed', { id: record.queueId });
         }
 
-        // Update queue badge
-        updateQueueBadge();
+        await discardRejected(record.id);
     }
 
-    async function updateQueueBadge() {
-        const badge = document.getElementById('queue-badge');
-        if (!badge) return;
+    // ==========================================
+    // Background Sync
+    // ==========================================
 
+    /**
+     * Ask the service worker to replay the queue when connectivity returns, even after every tab
+     * is closed. Without Background Sync the queue replays on the next page load instead.
+     */
+    async function requestBackgroundSync() {
+        if (!('serviceWorker' in navigator)) return;
         try {
-            const count = await ORBStorage.queue.count();
-            if (count > 0) {
-                badge.textContent = count;
-                badge.classList.add('visible');
-            } else {
-                badge.classList.remove('visible');
+            const registration = await navigator.serviceWorker.getRegistration();
+            const user = ORBStorage.user();
+            if (registration && registration.sync && user) {
+                // The worker replays only this user's database, and only while they are signed in
+                await registration.sync.register(`${ORBReplay.RULES.SYNC_TAG}:${user.id}:${ORBStorage.dbName()}`);
             }
         } catch (e) {
-            console.error('Failed to update queue badge:', e);
+            console.warn('Background Sync registration failed:', e);
         }
     }
 
-    function setSyncing(syncing) {
-        isSyncing = syncing;
-        const indicator = document.getElementById('offline-indicator');
-        if (indicator) {
-            indicator.classList.toggle('syncing', syncing);
-        }
+    /**
+     * The service worker reports each replay result - apply it as if another tab had synced
+     */
+    function listenForServiceWorker() {
+        if (!('serviceWorker' in navigator)) return;
+        navigator.serviceWorker.addEventListener('message', event => {
+            const message = event.data;
+            if (message && message.type === 'orb-replay') {
+                handleTabEvent(message.event, message.data);
+            }
+        });
     }
 
-    // ==========================================
-    // Toast Notifications
-    // ==========================================
+    function startSyncInterval() {
+        stopSyncInterval();
+        const interval = connection === CONNECTION.DEGRADED ? CONFIG.DEGRADED_SYNC_INTERVAL : CONFIG.SYNC_INTERVAL;
+        syncTimer = setInterval(syncQueue, interval);
+    }
 
-    function showToast(message, type = 'info', duration = 3000) {
-        const container = document.getElementById('toast-container');
-        if (!container) {
-            console.log(`[${type}] ${message}`);
-            return;
+    function stopSyncInterval() {
+        if (syncTimer) {
+            clearInterval(syncTimer);
+            syncTimer = null;
         }
-
-        const toast = document.createElement('div');
-        toast.className = `toast toast-${type}`;
-        
-        const icons = {
-            success: '✓',
-            error: '✗',
-            warning: '⚠',
-            info: 'ℹ',
-            sync: '↻'
-        };
-        
-        toast.innerHTML = `
-            <span class="toast-icon">${icons[type] || icons.info}</span>
-            <span class="toast-message">${message}</span>
-        `;
-
-        container.appendChild(toast);
-
-        // Trigger animation
-        requestAnimationFrame(() => {
-            toast.classList.add('show');
-        });
-
-        // Remove after duration
-        setTimeout(() => {
-            toast.classList.remove('show');
-            setTimeout(() => toast.remove(), 300);
-        }, duration);
+        clearTimeout(nextAttemptTimer);
+        nextAttemptTimer = null;
     }
 
     // ==========================================
-    // Request Queue & Sync
+    // API Response Cache
     // ==========================================
 
     /**
-     * Queue a failed request for later retry
+     * Find the TTL for an endpoint (longest matching prefix), or null if not cacheable
      */
-    async function queueFailedRequest(endpoint, method, data, headers = {}) {
-        const request = {
-            endpoint,
-            method,
-            data,
-            headers: { ...headers },
-            timestamp: Date.now()
-        };
+    function getCacheTTL(endpoint) {
+        const prefix = matchPrefix(CONFIG.CACHE_TTLS, endpoint);
+        return prefix ? CONFIG.CACHE_TTLS[prefix] : null;
+    }
 
+    async function readCache(endpoint) {
         try {
-            await ORBStorage.queue.add(request);
-            updateQueueBadge();
-            showToast('Saved offline - will sync when connected', 'warning');
-            notifyListeners('queued', request);
+            await ORBStorage.ready();
+            return await ORBStorage.cache.get(endpoint);
         } catch (e) {
-            console.error('Failed to queue request:', e);
-            showToast('Failed to save offline', 'error');
+            console.warn('Cache read failed:', endpoint, e);
+            return null;
         }
     }
 
-    /**
-     * Process the queue and retry failed requests
-     */
-    async function syncQueue() {
-        if (isSyncing || !isOnline) {
-            return;
-        }
-
-        const queue = await ORBStorage.queue.getAll();
-        if (queue.length === 0) {
-            return;
+    async function writeCache(endpoint, data) {
+        try {
+            await ORBStorage.ready();
+            await ORBStorage.cache.set(endpoint, data);
+        } catch (e) {
+            console.warn('Cache write failed:', endpoint, e);
         }
+    }
 
-        setSyncing(true);
-        showToast(`Syncing ${queue.length} pending request(s)...`, 'sync');
+    function cachedResult(entry, stale) {
+        return {
+            ok: true,
+            status: 200,
+            data: entry.data,
+            fromCache: true,
+            stale,
+            cachedAt: entry.timestamp
+        };
+    }
 
-        let successCount = 0;
-        let failCount = 0;
+    /**
+     * Invalidation hook - runs after a successful write (direct or synced from the queue)
+     */
+    async function invalidateCache(endpoint) {
+        const prefixes = ORBReplay.invalidatedPrefixes(endpoint);
+        if (prefixes.length === 0) return;
 
-        for (const item of queue) {
-            try {
-                const success = await retryRequest(item);
-                if (success) {
-                    await ORBStorage.queue.remove(item.id);
-                    successCount++;
-                } else {
-                    failCount++;
-                }
-            } catch (e) {
-                console.error('Sync error for item:', item.id, e);
-                failCount++;
-            }
+        try {
+            await ORBStorage.ready();
+            await ORBStorage.cache.invalidate(prefixes);
+            notifyListeners('cache-invalidated', { endpoint, prefixes });
+        } catch (e) {
+            console.warn('Cache invalidation failed:', endpoint, e);
         }
+    }
 
-        setSyncing(false);
-        updateQueueBadge();
+    /**
+     * GET with read-through caching: fresh cache → network → stale cache
+     * (degraded: fresh or stale cache → network)
+     */
+    async function cachedGet(endpoint, headers = {}, maxAge = null) {
+        const ttl = getCacheTTL(endpoint);
+        const cached = ttl !== null ? await readCache(endpoint) : null;
 
-        if (successCount > 0) {
-            showToast(`Synced ${successCount} request(s)`, 'success');
-            notifyListeners('synced', { success: successCount, failed: failCount });
+        // maxAge below the TTL asks for newer data (0 = go to the server whenever it can be reached)
+        if (cached && Date.now() - cached.timestamp < (maxAge ?? ttl)) {
+            return cachedResult(cached, false);
         }
 
-        if (failCount > 0) {
-            showToast(`${failCount} request(s) still pending`, 'warning');
+        if (!isOnline) {
+            if (cached) return cachedResult(cached, true);
+            throw new Error('Offline - please try again when connected');
         }
-    }
 
-    /**
-     * Retry a single queued request with exponential backoff
-     */
-    async function retryRequest(item) {
-        const delay = CONFIG.RETRY_DELAYS[Math.min(item.retryCount, CONFIG.RETRY_DELAYS.length - 1)];
-        
-        // If this isn't the first retry, wait before attempting
-        if (item.retryCount > 0) {
-            await sleep(delay);
+        // On a degraded link don't wait on the uplink for something we already have
+        if (connection === CONNECTION.DEGRADED && cached) {
+            return cachedResult(cached, true);
         }
 
         try {
-            const response = await fetch(`/api${item.endpoint}`, {
-                method: item.method,
+            const response = await fetch(`/api${endpoint}`, {
+                method: 'GET',
                 headers: {
                     'Content-Type': 'application/json',
-                    ...item.headers
-                },
-                body: item.data ? JSON.stringify(item.data) : undefined
-            });
-
-            if (response.ok) {
-                return true;
-            }
-
-            // If server error (5xx), increment retry count
-            if (response.status >= 500) {
-                if (item.retryCount < CONFIG.MAX_RETRIES) {
-                    await ORBStorage.queue.updateRetry(item.id, item.retryCount + 1);
+                    ...headers
                 }
-                return false;
-            }
+            });
+            const responseData = await response.json();
 
-            // Client error (4xx) - don't retry, remove from queue
-            console.warn('Request failed with client error, removing from queue:', response.status);
-            return true; // Return true to remove from queue
-            
-        } catch (e) {
-            // Network error - increment retry count
-            if (item.retryCount < CONFIG.MAX_RETRIES) {
-                await ORBStorage.queue.updateRetry(item.id, item.retryCount + 1);
+            if (response.ok && ttl !== null) {
+                await writeCache(endpoint, responseData);
+            } else if (response.status >= 500 && cached) {
+                return cachedResult(cached, true);
             }
-            return false;
-        }
-    }
-
-    function sleep(ms) {
-        return new Promise(resolve => setTimeout(resolve, ms));
-    }
-
-    function startSyncInterval() {
-        stopSyncInterval();
-        syncTimer = setInterval(syncQueue, CONFIG.SYNC_INTERVAL);
-    }
 
-    function stopSyncInterval() {
-        if (syncTimer) {
-            clearInterval(syncTimer);
-            syncTimer = null;
+            return {
+                ok: response.ok,
+                status: response.status,
+                data: responseData,
+                fromCache: false,
+                stale: false,
+                cachedAt: null
+            };
+        } catch (error) {
+            if (cached) return cachedResult(cached, true);
+            throw error;
         }
     }
 
@@ -317,80 +1822,122 @@ const ORBOffline = (function() {
     // Offline-Aware API Wrapper
     // ==========================================
 
+    /**
+     * Client-generated request ID - sent with every write and kept in the queued
+     * headers, so a retry of a request the server already handled is not applied twice
+     */
+    function generateRequestId() {
+        if (window.crypto && typeof crypto.randomUUID === 'function') {
+            return crypto.randomUUID();
+        }
+        const bytes = new Uint8Array(16);
+        crypto.getRandomValues(bytes);
+        return Array.from(bytes, b => b.toString(16).padStart(2, '0')).join('');
+    }
+
     /**
      * Make an API request with offline support
-     * Falls back to queue if offline or request fails
+     * GETs read through the response cache; writes fall back to the queue if the request fails.
+     * Pass ifMatch (the version/ETag the edit was based on) and a 409 opens the conflict dialog.
      */
     async function request(endpoint, options = {}) {
         const {
             method = 'GET',
             data = null,
             headers = {},
+            ifMatch = null,
+            maxAge = null, // GET only: oldest cached copy to accept
+            queuedAt = null, // Queue position if the write is queued (an edited submission keeps the original's)
+            idempotencyKey = null, // An edited submission reuses the original's key
             queueOnFail = true // Whether to queue POST/PUT/DELETE on failure
         } = options;
 
-        // For GET requests, try to return cached data if offline
-        if (method === 'GET' && !isOnline) {
-            throw new Error('Offline - please try again when connected');
+        if (method === 'GET') {
+            return cachedGet(endpoint, headers, maxAge);
         }
 
+        const writeHeaders = {
+            [CONFIG.IDEMPOTENCY_HEADER]: idempotencyKey || generateRequestId(),
+            ...(ifMatch ? { 'If-Match': ifMatch } : {}),
+            ...headers
+        };
+
+        let result;
         try {
             const fetchOptions = {
                 method,
                 headers: {
                     'Content-Type': 'application/json',
-                    ...headers
+                    ...writeHeaders
                 }
             };
 
-            if (data && method !== 'GET') {
+            if (data) {
                 fetchOptions.body = JSON.stringify(data);
             }
 
             const response = await fetch(`/api${endpoint}`, fetchOptions);
             const responseData = await response.json();
 
-            return {
+            if (response.ok) {
+                await invalidateCache(endpoint);
+            }
+
+            const replayed = response.headers.get('Idempotent-Replayed') === 'true';
+            if (replayed && idempotencyKey) {
+                // The original got through before it was edited - the server kept that one
+                showToast('The original submission had already been recorded - your edit was not applied', 'warning', 6000);
+            }
+
+            result = {
                 ok: response.ok,
                 status: response.status,
-                data: responseData
+                data: responseData,
+                replayed
             };
 
         } catch (error) {
             // Network error
-            if (queueOnFail && method !== 'GET') {
-                await queueFailedRequest(endpoint, method, data, headers);
+            if (queueOnFail) {
+                const queueId = await queueFailedRequest(endpoint, method, data, writeHeaders, queuedAt || Date.now());
                 return {
                     ok: false,
                     status: 0,
                     data: null,
                     queued: true,
+                    queueId,
                     error: 'Request queued for later'
                 };
             }
             
             throw error;
         }
+
+        // Outside the try - a resend after the dialog queues its own body if the network drops
+        if (result.status === 409 && result.data && result.data.conflict) {
+            return settleLiveConflict(endpoint, options, result);
+        }
+        return result;
     }
 
     /**
      * Convenience methods
      */
     const api = {
-        async get(endpoint) {
-            return request(endpoint, { method: 'GET', queueOnFail: false });
+        async get(endpoint, options = {}) {
+            return request(endpoint, { method: 'GET', queueOnFail: false, ...options });
         },
 
-        async post(endpoint, data) {
-            return request(endpoint, { method: 'POST', data, queueOnFail: true });
+        async post(endpoint, data, options = {}) {
+            return request(endpoint, { method: 'POST', data, queueOnFail: true, ...options });
         },
 
-        async put(endpoint, data) {
-            return request(endpoint, { method: 'PUT', data, queueOnFail: true });
+        async put(endpoint, data, options = {}) {
+            return request(endpoint, { method: 'PUT', data, queueOnFail: true, ...options });
         },
 
-        async delete(endpoint) {
-            return request(endpoint, { method: 'DELETE', queueOnFail: true });
+        async delete(endpoint, options = {}) {
+            return request(endpoint, { method: 'DELETE', queueOnFail: true, ...options });
         }
     };
 
@@ -405,7 +1952,10 @@ const ORBOffline = (function() {
         };
     }
 
-    function notifyListeners(event, data = null) {
+    /**
+     * Tell this tab's listeners, and other tabs unless the event came from one
+     */
+    function notifyListeners(event, data = null, fromTab = false) {
         listeners.forEach(callback => {
             try {
                 callback(event, data);
@@ -413,65 +1963,188 @@ const ORBOffline = (function() {
                 console.error('Listener error:', e);
             }
         });
+
+        if (!fromTab && CONFIG.TAB_EVENTS.includes(event)) {
+            postToTabs({ type: 'event', event, data });
+        }
     }
 
     // ==========================================
     // Form Auto-Save
     // ==========================================
 
+    // Inputs never written to a draft
+    const AUTOSAVE_SKIPPED_TYPES = ['file', 'password', 'hidden', 'submit', 'button', 'reset', 'image'];
+
+    /**
+     * Draft key for a field: its name, else its id (most of our inputs only have an id)
+     */
+    function fieldKey(field) {
+        return field.name || field.id || null;
+    }
+
+    function autosaveFields(container) {
+        return Array.from(container.querySelectorAll('input, select, textarea'))
+            .filter(field => fieldKey(field) &&
+                !AUTOSAVE_SKIPPED_TYPES.includes(field.type) &&
+                field.dataset.autosave !== 'off');
+    }
+
     /**
-     * Setup auto-save for a form
-     * @param {string} formId - Unique identifier for the form
-     * @param {HTMLFormElement} form - The form element
+     * Current field values: text as strings, a lone checkbox as true/false, a named checkbox
+     * group as the checked values, a radio group as the checked value, multi-selects as arrays
+     */
+    function collectFields(container) {
+        const fields = autosaveFields(container);
+        const data = {};
+
+        fields.forEach(field => {
+            const key = fieldKey(field);
+            if (field.type === 'checkbox') {
+                const group = field.name && fields.filter(f => f.type === 'checkbox' && f.name === field.name).length > 1;
+                if (group) {
+                    data[key] = data[key] || [];
+                    if (field.checked) data[key].push(field.value);
+                } else {
+                    data[key] = field.checked;
+                }
+            } else if (field.type === 'radio') {
+                if (field.checked) {
+                    data[key] = field.value;
+                } else if (!(key in data)) {
+                    data[key] = null;
+                }
+            } else if (field.type === 'select-multiple') {
+                data[key] = Array.from(field.selectedOptions, option => option.value);
+            } else {
+                data[key] = field.value;
+            }
+        });
+
+        return data;
+    }
+
+    /**
+     * Put draft values back and fire input/change so dependent UI (totals, enabled notes) updates
+     */
+    function applyFields(container, data) {
+        autosaveFields(container).forEach(field => {
+            const key = fieldKey(field);
+            if (!(key in data)) return;
+            const value = data[key];
+
+            if (field.type === 'checkbox') {
+                field.checked = Array.isArray(value) ? value.includes(field.value) : Boolean(value);
+            } else if (field.type === 'radio') {
+                field.checked = field.value === value;
+            } else if (field.type === 'select-multiple') {
+                Array.from(field.options).forEach(option => {
+                    option.selected = Array.isArray(value) && value.includes(option.value);
+                });
+            } else {
+                field.value = value ?? '';
+            }
+
+            field.dispatchEvent(new Event('input', { bubbles: true }));
+            field.dispatchEvent(new Event('change', { bubbles: true }));
+        });
+    }
+
+    /**
+     * Setup auto-save for a form. Only what the user types is saved (scripted changes such as
+     * defaults or a reopened submission are not), and nothing is restored without asking.
+     * @param {string|Function} formId - Draft key, or a function returning it (one container, several drafts)
+     * @param {HTMLElement} form - Form element, or any container of fields (e.g. a modal body)
      * @param {number} debounceMs - Debounce delay in milliseconds
+     * @returns {{restore: Function, save: Function, clear: Function}} Call clear() once the
+     *          submission saved or queued - never on submit, which may still fail
      */
     function setupFormAutoSave(formId, form, debounceMs = 1000) {
+        const draftId = () => (typeof formId === 'function' ? formId() : formId);
         let debounceTimer = null;
+        let notice = null;
 
         const saveForm = () => {
-            const formData = new FormData(form);
-            const data = {};
-            formData.forEach((value, key) => {
-                data[key] = value;
+            clearTimeout(debounceTimer);
+            debounceTimer = null;
+            return ORBStorage.form.save(draftId(), collectFields(form)).catch(e => {
+                console.warn('Form auto-save failed:', e);
             });
-            
-            ORBStorage.form.save(formId, data);
         };
 
-        // Debounced save on input
-        form.addEventListener('input', () => {
+        const dismissNotice = (restored) => {
+            if (!notice) return;
+            notice.element.remove();
+            notice.resolve(restored);
+            notice = null;
+        };
+
+        // Debounced save on input (typing over an offered draft replaces it)
+        form.addEventListener('input', (event) => {
+            if (!event.isTrusted) return;
+            dismissNotice(false);
             clearTimeout(debounceTimer);
             debounceTimer = setTimeout(saveForm, debounceMs);
         });
 
         // Immediate save on change (select, checkbox, etc.)
-        form.addEventListener('change', saveForm);
-
-        // Clear saved data on successful submit
-        form.addEventListener('submit', () => {
-            ORBStorage.form.clear(formId);
+        form.addEventListener('change', (event) => {
+            if (!event.isTrusted) return;
+            dismissNotice(false);
+            saveForm();
         });
 
         return {
-            // Restore saved data
+            /**
+             * Offer the saved draft (with its age) at the top of the form
+             * @returns {Promise<boolean>} true if the user restored it
+             */
             async restore() {
-                const data = await ORBStorage.form.get(formId);
-                if (data) {
-                    Object.keys(data).forEach(key => {
-                        const input = form.elements[key];
-                        if (input && input.type !== 'file') {
-                            input.value = data[key];
+                dismissNotice(false);
+                await ORBStorage.ready();
+                const id = draftId();
+                const record = await ORBStorage.form.getRecord(id);
+                if (!record || !record.data || Object.keys(record.data).length === 0) {
+                    return false;
+                }
+
+                const element = document.createElement('div');
+                element.className = 'draft-notice';
+                element.innerHTML = `
+                    <span class="draft-notice-text">Unsaved draft from ${escapeHTML(ORB.format.timeAgo(record.timestamp))}</span>
+                    <span class="draft-notice-actions">
+                        <button type="button" class="btn btn-sm btn-primary" data-draft="restore">Restore</button>
+                        <button type="button" class="btn btn-sm btn-secondary" data-draft="discard">Discard</button>
+                    </span>
+                `;
+                form.prepend(element);
+
+                return new Promise(resolve => {
+                    notice = { element, resolve };
+                    element.addEventListener('click', (event) => {
+                        const button = event.target.closest('[data-draft]');
+                        if (!button) return;
+                        if (button.dataset.draft === 'restore') {
+                            dismissNotice(true);
+                            applyFields(form, record.data);
+                            showToast('Draft restored', 'info');
+                        } else {
+                            dismissNotice(false);
+                            ORBStorage.form.clear(id);
                         }
                     });
-                    showToast('Form restored from auto-save', 'info');
-                    return true;
-                }
-                return false;
+                });
             },
-            
-            // Clear saved data
+
+            // Save now (after filling fields from script, e.g. OCR)
+            save: saveForm,
+
+            // Drop the draft - after the server accepted the submission or it was queued
             clear() {
-                ORBStorage.form.clear(formId);
+                clearTimeout(debounceTimer);
+                debounceTimer = null;
+                dismissNotice(false);
+                return ORBStorage.form.clear(draftId());
             }
         };
     }
@@ -484,16 +2157,32 @@ const ORBOffline = (function() {
         init,
         getStatus,
         isOnline: () => isOnline,
+        getConnection: () => connection,
         isSyncing: () => isSyncing,
+        isLeader: () => isLeader,
         
         // API methods with offline support
         api,
         request,
         
+        // Response cache
+        invalidateCache,
+        clearCache: () => ORBStorage.cache.clear(),
+        
         // Queue management
+        generateRequestId,
         syncQueue,
         getQueueCount: () => ORBStorage.queue.count(),
         clearQueue: () => ORBStorage.queue.clear(),
+        getQueued,
+        retryQueued,
+        discardQueued,
+        openQueuePanel,
+        
+        // Editing queued/rejected submissions
+        openEdit,
+        resolveEdit,
+        getRejected: () => ORBStorage.rejected.getAll(),
         
         // Form persistence
         setupFormAutoSave,
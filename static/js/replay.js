@@ -0,0 +1,310 @@
+/**
+ * Oil Record Book Tool - Queue Replay Module
+ * Replay rules for the request queue, shared by offline.js and the service worker (Background Sync)
+ * so a queued write is retried, rejected or dropped the same way whichever one sends it
+ */
+
+const ORBReplay = (function() {
+    const RULES = {
+        // Per-item backoff: base * 2^(retries - 1), capped, +/- jitter so queued items don't retry in lockstep
+        RETRY_BASE_DELAY: 10 * 1000,
+        RETRY_MAX_DELAY: 30 * 60 * 1000,
+        RETRY_JITTER: 0.25,
+        MAX_RETRIES: 10, // After this many failed attempts an item needs attention instead of retrying
+        EDIT_HOLD_LEASE: 30 * 60 * 1000, // A queued item opened for editing is held at most this long
+
+        // Writes that depend on each other share a stream and replay strictly in order.
+        // The active service tank must land before the fuel tickets that use it.
+        QUEUE_STREAMS: {
+            '/service-tanks': 'fuel',
+            '/fuel-tickets': 'fuel',
+            '/soundings': 'soundings',
+            '/equipment': 'equipment',
+            '/status-events': 'equipment', // engine room status updates
+            '/hitch': 'hitch'
+        },
+        DEFAULT_STREAM: 'general',
+
+        // Cached endpoints to drop after a successful write to a given endpoint
+        CACHE_INVALIDATION: {
+            '/fuel-tickets': ['/fuel-tickets', '/dashboard/full'],
+            '/service-tanks': ['/service-tanks/active', '/fuel-tickets', '/dashboard/full'],
+            '/soundings': ['/soundings', '/orb-entries', '/dashboard/full'],
+            '/status-events': ['/dashboard/full'],
+            '/equipment': ['/dashboard/full'],
+            '/hitch': ['/dashboard/full', '/fuel-tickets', '/soundings', '/orb-entries']
+        },
+
+        // Held by whoever is replaying (a tab or the service worker) so the queue is never sent twice at once
+        REPLAY_LOCK: 'orb-queue-replay',
+        SYNC_TAG: 'orb-queue'
+    };
+
+    // Queue item states (items without a state are pending)
+    const QUEUE_STATE = {
+        PENDING: 'pending',
+        NEEDS_ATTENTION: 'needs_attention'
+    };
+
+    // ==========================================
+    // Ordering
+    // ==========================================
+
+    /**
+     * Longest prefix in a config map that matches an endpoint's path
+     */
+    function matchPrefix(map, endpoint) {
+        const path = endpoint.split('?')[0];
+        return Object.keys(map)
+            .filter(p => path === p || path.startsWith(p + '/'))
+            .sort((a, b) => b.length - a.length)[0];
+    }
+
+    /**
+     * Stream an endpoint's writes replay in
+     */
+    function getQueueStream(endpoint) {
+        const prefix = matchPrefix(RULES.QUEUE_STREAMS, endpoint);
+        return prefix ? RULES.QUEUE_STREAMS[prefix] : RULES.DEFAULT_STREAM;
+    }
+
+    /**
+     * Group queued items by stream, each in the order they were queued
+     */
+    function groupByStream(queue) {
+        const streams = {};
+        queue
+            .slice()
+            .sort((a, b) => a.timestamp - b.timestamp || a.id - b.id)
+            .forEach(item => {
+                const stream = item.stream || getQueueStream(item.endpoint);
+                (streams[stream] = streams[stream] || []).push(item);
+            });
+        return streams;
+    }
+
+    /**
+     * On hold while it is being edited - a hold whose lease has run out no longer counts
+     */
+    function isHeld(item, now = Date.now()) {
+        return Boolean(item.hold) && !(item.holdUntil && item.holdUntil <= now);
+    }
+
+    /**
+     * Items that may be sent now: not on hold, not given up on, not still encrypted, and past nextAttemptAt
+     */
+    function isDue(item, now) {
+        return !isHeld(item, now) &&
+            !item.locked &&
+            item.state !== QUEUE_STATE.NEEDS_ATTENTION &&
+            (item.nextAttemptAt || 0) <= now;
+    }
+
+    /**
+     * [stream, items] pairs whose head can go now - streams with a rejected request are held back
+     * @param {Set<string>} blocked - Streams that have a record in the rejected store
+     */
+    function dueStreams(queue, blocked) {
+        const now = Date.now();
+        return Object.entries(groupByStream(queue))
+            .filter(([stream, items]) => !blocked.has(stream) && isDue(items[0], now));
+    }
+
+    /**
+     * Replay each stream strictly in order, stopping a stream at its first item that
+     * isn't due or doesn't sync; streams run side by side
+     * @param {Function} processItem - async (item) => 'synced' | 'rejected' | 'pending'
+     * @returns {Promise<{success: number, failed: number, rejected: number}>}
+     */
+    async function replayStreams(streams, processItem) {
+        const counts = { success: 0, failed: 0, rejected: 0 };
+
+        await Promise.all(streams.map(async ([stream, items]) => {
+            for (const item of items) {
+                if (!isDue(item, Date.now())) {
+                    break;
+                }
+
+                let outcome = 'pending';
+                try {
+                    outcome = await processItem(item);
+                } catch (e) {
+                    console.error('Sync error for item:', item.id, e);
+                }
+
+                if (outcome === 'synced') {
+                    counts.success++;
+                    continue;
+                }
+
+                // Stop this stream - later items may depend on this one
+                if (outcome === 'rejected') {
+                    counts.rejected++;
+                } else {
+                    counts.failed++;
+                }
+                console.warn(`Queue stream "${stream}" stopped at item`, item.id);
+                break;
+            }
+        }));
+
+        return counts;
+    }
+
+    /**
+     * Run fn while holding the replay lock (Web Locks), or straight away where locks aren't supported
+     */
+    function withReplayLock(fn) {
+        const locks = self.navigator && self.navigator.locks;
+        if (locks && typeof locks.request === 'function') {
+            return locks.request(RULES.REPLAY_LOCK, fn);
+        }
+        return fn();
+    }
+
+    // ==========================================
+    // Sending & Settling
+    // ==========================================
+
+    /**
+     * Send a single queued request once
+     * @returns {Promise<{done: boolean, ok: boolean, status: number, data: any, error: string|null}>}
+     *          done = remove from queue (success or client error); otherwise error says why it'll be retried
+     */
+    async function send(item) {
+        try {
+            const response = await fetch(`/api${item.endpoint}`, {
+                method: item.method,
+                credentials: 'same-origin',
+                headers: {
+                    'Content-Type': 'application/json',
+                    ...item.headers
+                },
+                body: item.data ? JSON.stringify(item.data) : undefined
+            });
+
+            // If server error (5xx), back off and retry later
+            if (response.status >= 500) {
+                return { done: false, ok: false, status: response.status, data: null, error: `Server error (${response.status})` };
+            }
+
+            // Session expired - the login page came back instead of the API; keep it for after sign-in
+            if (response.redirected) {
+                return { done: false, ok: false, status: response.status, data: null, error: 'Signed out - sign in to sync' };
+            }
+
+            // Client error (4xx) - don't retry; the caller moves it to the rejected store
+            const responseData = await response.json().catch(() => null);
+            return { done: true, ok: response.ok, status: response.status, data: responseData, error: null };
+
+        } catch (e) {
+            // Network error - back off and retry later
+            return { done: false, ok: false, status: 0, data: null, error: e.message || 'Network error' };
+        }
+    }
+
+    /**
+     * Jittered exponential backoff for the given failed attempt count
+     */
+    function getRetryDelay(retryCount) {
+        const delay = Math.min(
+            RULES.RETRY_BASE_DELAY * Math.pow(2, Math.max(retryCount - 1, 0)),
+            RULES.RETRY_MAX_DELAY
+        );
+        const jitter = 1 + (Math.random() * 2 - 1) * RULES.RETRY_JITTER;
+        return Math.round(delay * jitter);
+    }
+
+    /**
+     * Queue changes for a failed attempt: schedule the next one, or give up and flag the item
+     * @returns {{changes: Object, exhausted: boolean}} exhausted = this attempt used up the retries
+     */
+    function failedAttempt(item, error) {
+        const retryCount = (item.retryCount || 0) + 1;
+        const now = Date.now();
+
+        if (retryCount >= RULES.MAX_RETRIES) {
+            return {
+                changes: {
+                    retryCount,
+                    lastRetry: now,
+                    lastError: error,
+                    state: QUEUE_STATE.NEEDS_ATTENTION,
+                    nextAttemptAt: null
+                },
+                exhausted: item.state !== QUEUE_STATE.NEEDS_ATTENTION
+            };
+        }
+
+        return {
+            changes: {
+                retryCount,
+                lastRetry: now,
+                lastError: error,
+                state: QUEUE_STATE.PENDING,
+                nextAttemptAt: now + getRetryDelay(retryCount)
+            },
+            exhausted: false
+        };
+    }
+
+    /**
+     * Rejected-store record for a queued request the server refused (4xx)
+     */
+    function rejection(item, result) {
+        return {
+            queueId: item.id,
+            endpoint: item.endpoint,
+            method: item.method,
+            stream: item.stream || getQueueStream(item.endpoint),
+            data: item.data,
+            headers: item.headers,
+            queuedAt: item.timestamp,
+            status: result.status,
+            error: result.data?.error || `Request failed (${result.status})`,
+            details: result.data?.details || null,
+            conflict: result.data?.conflict || null // 409: the record changed since this was queued
+        };
+    }
+
+    /**
+     * Cached endpoint prefixes a successful write to endpoint makes stale
+     */
+    function invalidatedPrefixes(endpoint) {
+        const path = endpoint.split('?')[0];
+        const prefixes = new Set();
+        Object.entries(RULES.CACHE_INVALIDATION).forEach(([writePrefix, cached]) => {
+            if (path === writePrefix || path.startsWith(writePrefix + '/')) {
+                cached.forEach(p => prefixes.add(p));
+            }
+        });
+        return [...prefixes];
+    }
+
+    // ==========================================
+    // Public API
+    // ==========================================
+
+    return {
+        RULES,
+        QUEUE_STATE,
+        matchPrefix,
+        getQueueStream,
+        groupByStream,
+        isHeld,
+        isDue,
+        dueStreams,
+        replayStreams,
+        withReplayLock,
+        send,
+        getRetryDelay,
+        failedAttempt,
+        rejection,
+        invalidatedPrefixes
+    };
+})();
+
+// Export for module systems if available
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ORBReplay;
+}
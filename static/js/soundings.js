@@ -0,0 +1,170 @@
+/**
+ * Oil Record Book Tool - Sounding Table Module
+ * Client-side port of SoundingService so soundings convert to gallons/m³ with no connectivity
+ */
+
+const ORBSoundings = (function() {
+    const CONVERSION_FACTOR = 0.00378541; // gallons to m³ (matches SoundingService)
+    const TABLES_ENDPOINT = '/api/tanks/tables';
+
+    // State
+    let tables = null;
+    let lookupIndex = {};
+    let loadPromise = null;
+
+    // ==========================================
+    // Loading
+    // ==========================================
+
+    /**
+     * Load tables from ORBStorage, downloading them once if not stored yet
+     */
+    function load() {
+        if (!loadPromise) {
+            loadPromise = loadTables().finally(() => {
+                loadPromise = null;
+            });
+        }
+        return loadPromise;
+    }
+
+    async function loadTables() {
+        if (tables) return tables;
+
+        try {
+            await ORBStorage.ready();
+            const stored = await ORBStorage.tables.get();
+            if (stored) {
+                setTables(stored);
+                return tables;
+            }
+        } catch (e) {
+            console.warn('Failed to read stored sounding tables:', e);
+        }
+
+        return refresh();
+    }
+
+    /**
+     * Download the current tables from the server and store them
+     */
+    async function refresh() {
+        const response = await fetch(TABLES_ENDPOINT, { cache: 'no-store' });
+        if (!response.ok) {
+            throw new Error(`Failed to download sounding tables: ${response.status}`);
+        }
+        const downloaded = await response.json();
+
+        try {
+            await ORBStorage.ready();
+            await ORBStorage.tables.save(downloaded);
+        } catch (e) {
+            console.warn('Failed to store sounding tables:', e);
+        }
+
+        setTables(downloaded);
+        return tables;
+    }
+
+    function setTables(data) {
+        tables = data;
+        lookupIndex = {};
+        Object.entries(data.tanks).forEach(([tankId, tank]) => {
+            lookupIndex[tankId] = new Map(
+                tank.soundings.map(s => [key(s.feet, s.inches), s.gallons])
+            );
+        });
+    }
+
+    function key(feet, inches) {
+        return `${feet}:${inches}`;
+    }
+
+    function requireTables() {
+        if (!tables) {
+            throw new Error('Sounding tables not loaded');
+        }
+    }
+
+    // ==========================================
+    // Lookups (same results and errors as SoundingService)
+    // ==========================================
+
+    /**
+     * Round to 2 decimals the way Python's round() does (nearest to the exact binary value)
+     */
+    function round2(value) {
+        return parseFloat(value.toFixed(2));
+    }
+
+    /**
+     * Look up volume for a sounding
+     * @returns {{feet: number, inches: number, gallons: number, m3: number}}
+     */
+    function lookup(tankId, feet, inches) {
+        requireTables();
+
+        if (!(tankId in lookupIndex)) {
+            throw new Error(`Unknown tank: ${tankId}`);
+        }
+
+        const gallons = lookupIndex[tankId].get(key(feet, inches));
+        if (gallons === undefined) {
+            throw new Error(`Sounding ${feet}' ${inches}" not found in table for tank ${tankId}`);
+        }
+
+        return { feet, inches, gallons, m3: round2(gallons * CONVERSION_FACTOR) };
+    }
+
+    function gallonsToM3(gallons) {
+        return round2(gallons * CONVERSION_FACTOR);
+    }
+
+    function getTankInfo(tankId) {
+        requireTables();
+        const tank = tables.tanks[tankId];
+        if (!tank) {
+            throw new Error(`Unknown tank: ${tankId}`);
+        }
+        return {
+            name: tank.name,
+            orb_code: tank.orb_code,
+            capacity_gallons: tank.capacity_gallons,
+            capacity_m3: tank.capacity_m3
+        };
+    }
+
+    /**
+     * Valid [feet, inches] pairs for a tank, sorted
+     */
+    function getAvailableSoundings(tankId) {
+        requireTables();
+        if (!(tankId in lookupIndex)) {
+            throw new Error(`Unknown tank: ${tankId}`);
+        }
+        return tables.tanks[tankId].soundings
+            .map(s => [s.feet, s.inches])
+            .sort((a, b) => a[0] - b[0] || a[1] - b[1]);
+    }
+
+    // ==========================================
+    // Public API
+    // ==========================================
+
+    return {
+        load,
+        refresh,
+        isLoaded: () => tables !== null,
+        version: () => (tables ? tables.version : null),
+        tankIds: () => (tables ? Object.keys(tables.tanks) : []),
+        lookup,
+        gallonsToM3,
+        getTankInfo,
+        getAvailableSoundings
+    };
+})();
+
+// Export for module systems if available
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ORBSoundings;
+}
@@ -1,74 +1,917 @@
 /**
  * Oil Record Book Tool - Storage Module
- * Provides IndexedDB with localStorage fallback for offline data persistence
+ * Provides IndexedDB with localStorage fallback for offline data persistence.
+ * Everything is kept per signed-in user (own database, own localStorage prefix) so a shared
+ * tablet never replays one crew member's queue under another's session.
  */
 
 const ORBStorage = (function() {
     const DB_NAME = 'orb_offline';
-    const DB_VERSION = 1;
+    const CURRENT_USER_ENDPOINT = '/auth/api/current-user';
+    const CURRENT_USER_TIMEOUT = 5000;
+    const LAST_USER_KEY = 'orb_last_user'; // Used when the app opens offline
+    const LEGACY_OWNER_KEY = 'orb_legacy_owner'; // User who took over data from before namespacing
     const STORES = {
         QUEUE: 'request_queue',
         FORM_DATA: 'form_data',
-        CACHE: 'api_cache'
+        CACHE: 'api_cache',
+        TABLES: 'sounding_tables',
+        REJECTED: 'rejected_requests',
+        VAULT: 'vault'
     };
     
+    const SESSION_KEY_PREFIX = 'orb_key_'; // sessionStorage keys cached by earlier versions - removed on load
+    const KEYRING_LOCK = 'orb-storage-keyring';
+
+    // Storage pressure: only the API cache is ever evicted to make room - queued writes,
+    // rejected submissions, drafts and sounding tables are never dropped by us
+    const QUOTA = {
+        PRESSURE_RATIO: 0.8, // usage / quota above which the oldest cached responses are evicted...
+        EVICT_TO_RATIO: 0.6, // ...until usage is back under this
+        RISK_RATIO: 0.9, // still above this after evicting = unsynced data may be lost
+        CHECK_INTERVAL: 60 * 1000, // writes re-check the estimate at most this often
+        LOCAL_STORAGE_QUOTA: 5 * 1024 * 1024 // typical per-origin localStorage limit (fallback mode)
+    };
+
+    // Schema migrations, oldest first. On open, every step above the stored version runs in
+    // order inside the upgrade transaction. Released steps never change - add a new step instead.
+    const MIGRATIONS = [
+        {
+            version: 1,
+            description: 'request queue, form auto-save and API response cache',
+            up(database) {
+                const queueStore = database.createObjectStore(STORES.QUEUE, { keyPath: 'id', autoIncrement: true });
+                queueStore.createIndex('timestamp', 'timestamp', { unique: false });
+                queueStore.createIndex('endpoint', 'endpoint', { unique: false });
+
+                const formStore = database.createObjectStore(STORES.FORM_DATA, { keyPath: 'formId' });
+                formStore.createIndex('timestamp', 'timestamp', { unique: false });
+
+                const cacheStore = database.createObjectStore(STORES.CACHE, { keyPath: 'key' });
+                cacheStore.createIndex('timestamp', 'timestamp', { unique: false });
+            }
+        },
+        {
+            version: 2,
+            // Kept out of api_cache so they are never evicted
+            description: 'sounding tables for offline volume lookup',
+            up(database) {
+                database.createObjectStore(STORES.TABLES, { keyPath: 'id' });
+            }
+        },
+        {
+            version: 3,
+            description: 'queued writes the server rejected (4xx), kept until fixed or discarded',
+            up(database) {
+                const rejectedStore = database.createObjectStore(STORES.REJECTED, { keyPath: 'id', autoIncrement: true });
+                rejectedStore.createIndex('rejectedAt', 'rejectedAt', { unique: false });
+            }
+        },
+        {
+            version: 4,
+            description: 'backfill retry state on queue records from before per-item backoff',
+            up(database, transaction) {
+                eachRecord(transaction.objectStore(STORES.QUEUE), item => ({
+                    ...item,
+                    retryCount: item.retryCount || 0,
+                    state: item.state || 'pending',
+                    nextAttemptAt: item.nextAttemptAt || item.timestamp
+                }));
+            }
+        },
+        {
+            version: 5,
+            description: 'device key record, so records can be sealed while locked',
+            up(database) {
+                database.createObjectStore(STORES.VAULT, { keyPath: 'name' });
+            }
+        }
+    ];
+    const DB_VERSION = MIGRATIONS[MIGRATIONS.length - 1].version;
+
+    // localStorage keys (under the user's prefix) written while IndexedDB was unavailable,
+    // imported once it is back
+    const FALLBACK_KEYS = {
+        QUEUE: 'queue',
+        REJECTED: 'rejected',
+        TABLES: 'sounding_tables',
+        FORM_PREFIX: 'form_',
+        CACHE_PREFIX: 'cache_',
+        DEVICE: 'vault_device'
+    };
+    const IMPORT_LOCK = 'orb-storage-import';
+
     let db = null;
     let useIndexedDB = true;
+    let initPromise = null;
+    let user = readLastUser();
+    let keyring = null; // from ORBVault.openKeyring
+    let quotaStatus = {
+        persisted: false,
+        usage: 0,
+        quota: 0,
+        ratio: 0,
+        stores: {},
+        pending: 0,
+        writeFailed: false,
+        atRisk: false,
+        checkedAt: null
+    };
+    let quotaCheckTimer = null;
+    const quotaListeners = [];
+
+    /**
+     * Initialize IndexedDB for the signed-in user (safe to call repeatedly - opens once)
+     */
+    function initDB() {
+        if (!initPromise) {
+            initPromise = resolveUser()
+                .then(openDB)
+                .then(async opened => {
+                    await loadKeys();
+                    if (opened) await prepareStoredData();
+                    return opened;
+                });
+        }
+        return initPromise;
+    }
+
+    // ==========================================
+    // User Namespace
+    // ==========================================
+
+    function readLastUser() {
+        try {
+            return JSON.parse(localStorage.getItem(LAST_USER_KEY));
+        } catch (e) {
+            return null;
+        }
+    }
+
+    /**
+     * Ask the server who is signed in; offline, trust the last user seen on this device
+     */
+    async function resolveUser() {
+        const controller = new AbortController();
+        const timeoutId = setTimeout(() => controller.abort(), CURRENT_USER_TIMEOUT);
+
+        try {
+            const response = await fetch(CURRENT_USER_ENDPOINT, {
+                cache: 'no-store',
+                credentials: 'same-origin',
+                headers: { 'Accept': 'application/json' },
+                signal: controller.signal
+            });
+
+            // Signed out - login_required redirects to the login page
+            if (response.redirected || response.status === 401) {
+                user = null;
+                return;
+            }
+
+            const body = await response.json();
+            if (body && body.user) {
+                user = { id: body.user.id, username: body.user.username };
+                localStorage.setItem(LAST_USER_KEY, JSON.stringify(user));
+            }
+        } catch (e) {
+            console.warn('Could not confirm signed-in user, using last known:', user && user.username);
+        } finally {
+            clearTimeout(timeoutId);
+        }
+    }
+
+    function namespace() {
+        return user ? `u${user.id}` : 'anonymous';
+    }
+
+    /**
+     * localStorage key for this user
+     */
+    function keyFor(name) {
+        return `orb_${namespace()}_${name}`;
+    }
+
+    /**
+     * This user's database. Whoever first signs in after namespacing keeps the original
+     * database - its queue was most likely theirs, and nothing is lost.
+     */
+    function dbName() {
+        if (user && localStorage.getItem(LEGACY_OWNER_KEY) === String(user.id)) {
+            return DB_NAME;
+        }
+        return `${DB_NAME}_${namespace()}`;
+    }
+
+    /**
+     * One time: hand data stored before namespacing to the first user who signs in
+     */
+    function adoptLegacyData() {
+        if (!user || localStorage.getItem(LEGACY_OWNER_KEY) !== null) return;
+        localStorage.setItem(LEGACY_OWNER_KEY, String(user.id));
+
+        const move = (from, to) => {
+            const value = localStorage.getItem(from);
+            if (value === null) return;
+            localStorage.setItem(to, value);
+            localStorage.removeItem(from);
+        };
+
+        Object.keys(localStorage).forEach(key => {
+            if (['orb_queue', 'orb_rejected', 'orb_sounding_tables'].includes(key) ||
+                key.startsWith('orb_form_') || key.startsWith('orb_cache_')) {
+                move(key, keyFor(key.slice('orb_'.length)));
+            }
+        });
+
+        // Pages saved these as plain strings
+        ['engineer_name', 'engineer_title'].forEach(key => {
+            const value = localStorage.getItem(key);
+            if (value === null) return;
+            localStorage.setItem(keyFor(key), JSON.stringify(value));
+            localStorage.removeItem(key);
+        });
+    }
+
+    // ==========================================
+    // Encryption at Rest
+    // ==========================================
+
+    /**
+     * WebCrypto only exists on secure origins (HTTPS or localhost) - elsewhere records stay plaintext
+     */
+    function encryptionAvailable() {
+        return typeof ORBVault !== 'undefined' && Boolean(window.crypto && crypto.subtle);
+    }
+
+    /**
+     * Set up this user's keyring for the page. The server keys are fetched fresh (which needs a
+     * signed-in session) and only kept in memory, as non-extractable CryptoKeys; the device record
+     * comes from storage. Without the server keys records can still be sealed, but sealed
+     * records stay locked.
+     */
+    async function loadKeys() {
+        keyring = null;
+        clearSessionKeys();
+        if (!user) return;
+        if (!encryptionAvailable()) {
+            console.warn('WebCrypto unavailable (insecure origin) - offline data is not encrypted');
+            return;
+        }
+
+        await withKeyringLock(async () => {
+            try {
+                keyring = await openKeyring(await ORBVault.fetchKeys());
+            } catch (e) {
+                keyring = null;
+                console.warn('Could not open storage keys:', e);
+            }
+        });
+
+        if (isLocked()) {
+            console.warn('Offline data is locked until you sign in again');
+        }
+    }
+
+    /**
+     * Replace this user's storage key on the server and rewrap this device's key under the new
+     * one. Other devices rewrap on their next sign-in - the old key stays available until the
+     * next rotation.
+     * @returns {Promise<boolean>} false when signed out, unreachable or locked
+     */
+    async function rotateKey() {
+        await initDB();
+        if (!user || !encryptionAvailable() || isLocked()) return false;
+
+        return withKeyringLock(async () => {
+            const serverKeys = await ORBVault.rotateKeys();
+            if (!serverKeys) return false;
+            keyring = await openKeyring(serverKeys);
+            console.log('Offline storage key rotated');
+            return true;
+        });
+    }
+
+    /**
+     * Keyring from the stored device record and the given server keys, storing the device
+     * record when it was made or rewrapped
+     */
+    async function openKeyring(serverKeys) {
+        const ring = await ORBVault.openKeyring(await readDevice(), serverKeys);
+        if (ring.device) await writeDevice(ring.device);
+        return ring;
+    }
+
+    /**
+     * Run fn holding the keyring lock, so two tabs unlocking together don't each make a device key
+     */
+    function withKeyringLock(fn) {
+        const locks = navigator.locks;
+        if (locks && typeof locks.request === 'function') {
+            return locks.request(KEYRING_LOCK, fn);
+        }
+        return fn();
+    }
+
+    /**
+     * This device's key record - from IndexedDB, or localStorage while IndexedDB is unavailable.
+     * One saved under the fallback is taken into IndexedDB when it is back.
+     */
+    async function readDevice() {
+        const fallbackKey = keyFor(FALLBACK_KEYS.DEVICE);
+        let fallback = null;
+        try {
+            fallback = JSON.parse(localStorage.getItem(fallbackKey));
+        } catch (e) {
+            fallback = null;
+        }
+        if (!useIndexedDB || !db) return fallback;
+
+        const stored = await new Promise((resolve, reject) => {
+            const request = dbTransaction(STORES.VAULT, 'readonly').get(ORBVault.DEVICE_RECORD);
+            request.onsuccess = () => resolve(request.result || null);
+            request.onerror = () => reject(request.error);
+        });
+        if (fallback) {
+            if (!stored) await writeDevice(fallback);
+            localStorage.removeItem(fallbackKey);
+        }
+        return stored || fallback;
+    }
+
+    function writeDevice(device) {
+        if (useIndexedDB && db) {
+            return writeRecord(STORES.VAULT, 'put', device);
+        }
+        localStorage.setItem(keyFor(FALLBACK_KEYS.DEVICE), JSON.stringify(device));
+        return Promise.resolve();
+    }
+
+    function clearSessionKeys() {
+        Object.keys(sessionStorage)
+            .filter(key => key.startsWith(SESSION_KEY_PREFIX))
+            .forEach(key => sessionStorage.removeItem(key));
+    }
+
+    /**
+     * A user's data is on this device but their key isn't - sealed records can't be read or changed
+     */
+    function isLocked() {
+        return encryptionAvailable() && user !== null && !(keyring && keyring.openKey);
+    }
+
+    function lockedError() {
+        const error = new Error('Offline storage is locked - sign in again to change this record');
+        error.name = 'StorageLockedError';
+        return error;
+    }
+
+    /**
+     * Encrypt a record's sensitive fields before it is stored. Saving works while locked; only a
+     * device that has never been unlocked has no key to seal with - the record is stored as is
+     * and sealed on the next unlock (sealPlaintextRecords).
+     */
+    async function sealRecord(storeName, record) {
+        if (!encryptionAvailable() || !user || !keyring || !keyring.sealKey) return record;
+        return ORBVault.seal(keyring.sealKey, record, ORBVault.SEALED_FIELDS[storeName]);
+    }
+
+    /**
+     * Decrypt a stored record. Without the key (or with the wrong one) it comes back
+     * with locked: true and no sensitive fields.
+     */
+    async function openRecord(record) {
+        if (!record || !record.sealed) return record;
+        if (!keyring) return { ...record, locked: true };
+        try {
+            return await ORBVault.unseal(keyring, record);
+        } catch (e) {
+            if (keyring.openKey) console.warn('Could not decrypt stored record:', e);
+            return { ...record, locked: true };
+        }
+    }
+
+    function openRecords(records) {
+        return Promise.all(records.map(openRecord));
+    }
+
+    /**
+     * Sign text with this user's current key (backups) - null without the key or WebCrypto
+     */
+    function signText(text) {
+        const signingKey = keyring && keyring.signingKeys[0];
+        return signingKey ? ORBVault.sign(signingKey, text) : Promise.resolve(null);
+    }
 
     /**
-     * Initialize IndexedDB
+     * Check a signature made with signText, under the current or the previous key
+     * @returns {Promise<boolean|null>} null when there's no key to check with
      */
-    async function initDB() {
+    async function verifyText(text, signature) {
+        if (!keyring || keyring.signingKeys.length === 0) return null;
+        for (const signingKey of keyring.signingKeys) {
+            if (await ORBVault.verify(signingKey, text, signature)) return true;
+        }
+        return false;
+    }
+
+    /**
+     * Seal records stored as plaintext (before encryption, while the origin had no WebCrypto, or
+     * before this device had a key), and reseal ones sealed under a server key before device keys
+     */
+    async function sealPlaintextRecords() {
+        if (!keyring || !keyring.sealKey || !db) return;
+
+        for (const storeName of Object.keys(ORBVault.SEALED_FIELDS)) {
+            const records = await new Promise((resolve, reject) => {
+                const request = dbTransaction(storeName, 'readonly').getAll();
+                request.onsuccess = () => resolve(request.result || []);
+                request.onerror = () => reject(request.error);
+            });
+            const opened = (await openRecords(records.filter(record => !ORBVault.isDeviceSealed(record))))
+                .filter(record => !record.locked);
+            if (opened.length === 0) continue;
+
+            const sealed = await Promise.all(opened.map(record => sealRecord(storeName, record)));
+            await new Promise((resolve, reject) => {
+                const transaction = db.transaction([storeName], 'readwrite');
+                sealed.forEach(record => transaction.objectStore(storeName).put(record));
+                transaction.oncomplete = () => resolve();
+                transaction.onerror = () => reject(transaction.error);
+                transaction.onabort = () => reject(transaction.error);
+            });
+            console.log(`Encrypted ${sealed.length} stored record(s) in ${storeName}`);
+        }
+    }
+
+    /**
+     * Delete everything stored for the current user (logout) - database and localStorage
+     */
+    async function purgeUser() {
+        await initDB();
+        const name = dbName();
+        const prefix = keyFor('');
+
+        if (db) {
+            db.close();
+            db = null;
+        }
+        if (useIndexedDB) {
+            await new Promise((resolve) => {
+                const request = indexedDB.deleteDatabase(name);
+                request.onsuccess = () => resolve(true);
+                request.onerror = () => resolve(false);
+                // Other tabs close their connection on versionchange
+                request.onblocked = () => console.warn('Waiting for other ORB tabs to release storage');
+            });
+        }
+
+        Object.keys(localStorage)
+            .filter(key => key.startsWith(prefix))
+            .forEach(key => localStorage.removeItem(key));
+        localStorage.removeItem(LAST_USER_KEY);
+        clearSessionKeys();
+
+        clearTimeout(quotaCheckTimer);
+        quotaCheckTimer = null;
+        user = null;
+        keyring = null;
+        initPromise = null;
+        console.log('Local data removed for', name);
+    }
+
+    async function openDB() {
+        adoptLegacyData();
+
         if (!window.indexedDB) {
             console.warn('IndexedDB not available, falling back to localStorage');
             useIndexedDB = false;
+            checkStorage({ force: true }).catch(() => {});
             return false;
         }
 
         return new Promise((resolve, reject) => {
-            const request = indexedDB.open(DB_NAME, DB_VERSION);
+            const request = indexedDB.open(dbName(), DB_VERSION);
 
             request.onerror = () => {
                 console.warn('IndexedDB open failed, falling back to localStorage');
                 useIndexedDB = false;
+                checkStorage({ force: true }).catch(() => {});
                 resolve(false);
             };
 
             request.onsuccess = (event) => {
                 db = event.target.result;
+                // Let another tab with newer code upgrade the schema
+                db.onversionchange = () => {
+                    db.close();
+                    db = null;
+                    console.warn('ORB storage was upgraded in another tab - reload this page');
+                };
                 console.log('IndexedDB initialized');
                 resolve(true);
             };
 
+            request.onblocked = () => {
+                console.warn('IndexedDB upgrade waiting for other ORB tabs to close');
+            };
+
             request.onupgradeneeded = (event) => {
-                const database = event.target.result;
-
-                // Request queue store
-                if (!database.objectStoreNames.contains(STORES.QUEUE)) {
-                    const queueStore = database.createObjectStore(STORES.QUEUE, { 
-                        keyPath: 'id', 
-                        autoIncrement: true 
-                    });
-                    queueStore.createIndex('timestamp', 'timestamp', { unique: false });
-                    queueStore.createIndex('endpoint', 'endpoint', { unique: false });
-                }
+                runMigrations(event.target.result, event.target.transaction, event.oldVersion);
+            };
+        });
+    }
 
-                // Form data store for auto-save
-                if (!database.objectStoreNames.contains(STORES.FORM_DATA)) {
-                    const formStore = database.createObjectStore(STORES.FORM_DATA, { 
-                        keyPath: 'formId' 
-                    });
-                    formStore.createIndex('timestamp', 'timestamp', { unique: false });
-                }
+    /**
+     * Once the database is open and the keys are loaded: import fallback data, seal what's
+     * still plaintext and check storage
+     */
+    async function prepareStoredData() {
+        try {
+            await importFallbackData();
+        } catch (e) {
+            console.warn('Failed to import localStorage fallback data:', e);
+        }
+        try {
+            await sealPlaintextRecords();
+        } catch (e) {
+            console.warn('Failed to encrypt stored records:', e);
+        }
+        requestPersistence().then(() => checkStorage({ force: true })).catch(e => {
+            console.warn('Storage check failed:', e);
+        });
+    }
+
+    // ==========================================
+    // Storage Quota
+    // ==========================================
+
+    /**
+     * Ask the browser not to evict our data under storage pressure (granted silently
+     * for installed apps / engaged sites, may prompt elsewhere)
+     */
+    async function requestPersistence() {
+        const storage = navigator.storage;
+        if (!storage || typeof storage.persist !== 'function') return false;
+
+        try {
+            quotaStatus.persisted = await storage.persisted() || await storage.persist();
+        } catch (e) {
+            console.warn('Persistent storage request failed:', e);
+            quotaStatus.persisted = false;
+        }
+        if (!quotaStatus.persisted) {
+            console.warn('Storage is best-effort - the browser may evict offline data under pressure');
+        }
+        return quotaStatus.persisted;
+    }
+
+    function isQuotaError(error) {
+        return Boolean(error) && (
+            error.name === 'QuotaExceededError' ||
+            error.name === 'NS_ERROR_DOM_QUOTA_REACHED' ||
+            error.code === 22
+        );
+    }
 
-                // API response cache
-                if (!database.objectStoreNames.contains(STORES.CACHE)) {
-                    const cacheStore = database.createObjectStore(STORES.CACHE, { 
-                        keyPath: 'key' 
-                    });
-                    cacheStore.createIndex('timestamp', 'timestamp', { unique: false });
+    /**
+     * Run a write of data we must not lose; when storage is full, evict the whole API cache
+     * and try once more before giving up
+     */
+    async function withQuotaRetry(write) {
+        try {
+            return await write();
+        } catch (e) {
+            if (!isQuotaError(e)) throw e;
+            console.warn('Storage full - evicting cached responses to make room');
+            await evictCachedResponses(Infinity);
+            try {
+                const result = await write();
+                quotaStatus.writeFailed = false;
+                scheduleQuotaCheck();
+                return result;
+            } catch (retryError) {
+                if (isQuotaError(retryError)) {
+                    quotaStatus.writeFailed = true;
+                    await checkStorage({ force: true }).catch(() => {});
                 }
+                throw retryError;
+            }
+        }
+    }
+
+    /**
+     * Approximate bytes held per store (serialized size - the browser's estimate is origin-wide)
+     */
+    async function measureStores() {
+        const sizes = {};
+        Object.values(STORES).forEach(name => {
+            sizes[name] = 0;
+        });
+
+        if (useIndexedDB && db) {
+            for (const name of Object.values(STORES)) {
+                const records = await new Promise((resolve, reject) => {
+                    const request = dbTransaction(name, 'readonly').getAll();
+                    request.onsuccess = () => resolve(request.result || []);
+                    request.onerror = () => reject(request.error);
+                });
+                sizes[name] = records.reduce((total, record) => total + JSON.stringify(record).length, 0);
+            }
+        } else {
+            // localStorage keeps UTF-16 - two bytes per character
+            const storeFor = {
+                queue: STORES.QUEUE,
+                rejected: STORES.REJECTED,
+                sounding_tables: STORES.TABLES
             };
+            const prefix = keyFor('');
+            Object.keys(localStorage)
+                .filter(key => key.startsWith(prefix))
+                .forEach(key => {
+                    const name = key.slice(prefix.length);
+                    const store = storeFor[name] ||
+                        (name.startsWith('cache_') ? STORES.CACHE : null) ||
+                        (name.startsWith('form_') ? STORES.FORM_DATA : null);
+                    if (store) {
+                        sizes[store] += (key.length + localStorage.getItem(key).length) * 2;
+                    }
+                });
+        }
+
+        return sizes;
+    }
+
+    /**
+     * Origin usage and quota - from the Storage API where there is one, otherwise our own count
+     */
+    async function estimateUsage(stores) {
+        const storeTotal = Object.values(stores).reduce((total, size) => total + size, 0);
+
+        if (!useIndexedDB || !db) {
+            return { usage: storeTotal, quota: QUOTA.LOCAL_STORAGE_QUOTA };
+        }
+        if (navigator.storage && typeof navigator.storage.estimate === 'function') {
+            const estimate = await navigator.storage.estimate();
+            return { usage: estimate.usage || 0, quota: estimate.quota || 0 };
+        }
+        return { usage: storeTotal, quota: 0 };
+    }
+
+    /**
+     * Delete cached responses, oldest first, until about `bytes` have been freed
+     * @returns {Promise<number>} Responses removed
+     */
+    async function evictCachedResponses(bytes) {
+        let records;
+        if (useIndexedDB && db) {
+            records = await new Promise((resolve, reject) => {
+                const request = dbTransaction(STORES.CACHE, 'readonly').getAll();
+                request.onsuccess = () => resolve(request.result || []);
+                request.onerror = () => reject(request.error);
+            });
+        } else {
+            const cachePrefix = keyFor('cache_');
+            records = Object.keys(localStorage)
+                .filter(key => key.startsWith(cachePrefix))
+                .map(key => {
+                    try {
+                        return JSON.parse(localStorage.getItem(key));
+                    } catch (e) {
+                        return { key: key.slice(cachePrefix.length), timestamp: 0 };
+                    }
+                });
+        }
+
+        const victims = [];
+        let freed = 0;
+        records
+            .sort((a, b) => (a.timestamp || 0) - (b.timestamp || 0))
+            .forEach(record => {
+                if (freed >= bytes) return;
+                victims.push(record.key);
+                freed += JSON.stringify(record).length;
+            });
+        if (victims.length === 0) return 0;
+
+        if (useIndexedDB && db) {
+            await new Promise((resolve, reject) => {
+                const transaction = db.transaction([STORES.CACHE], 'readwrite');
+                victims.forEach(key => transaction.objectStore(STORES.CACHE).delete(key));
+                transaction.oncomplete = () => resolve();
+                transaction.onerror = () => reject(transaction.error);
+                transaction.onabort = () => reject(transaction.error);
+            });
+        } else {
+            victims.forEach(key => localStorage.removeItem(keyFor(`cache_${key}`)));
+        }
+
+        console.log(`Evicted ${victims.length} cached response(s) under storage pressure`);
+        return victims.length;
+    }
+
+    /**
+     * Measure usage, evict old cached responses if we're near the quota, and work out whether
+     * unsynced data (queue + rejected) could be lost. Listeners hear about every check.
+     * @param {Object} options - force: ignore CHECK_INTERVAL
+     */
+    async function checkStorage({ force = false } = {}) {
+        if (!force && quotaStatus.checkedAt && Date.now() - quotaStatus.checkedAt < QUOTA.CHECK_INTERVAL) {
+            return quotaStatus;
+        }
+
+        let stores = await measureStores();
+        let { usage, quota } = await estimateUsage(stores);
+
+        if (quota > 0 && usage / quota > QUOTA.PRESSURE_RATIO) {
+            const evicted = await evictCachedResponses(usage - quota * QUOTA.EVICT_TO_RATIO);
+            if (evicted > 0) {
+                stores = await measureStores();
+                ({ usage, quota } = await estimateUsage(stores));
+            }
+        }
+
+        const ratio = quota > 0 ? usage / quota : 0;
+        const pending = (await getQueueCount()) + (await getAllRejected()).length;
+        const atRisk = pending > 0 && (
+            quotaStatus.writeFailed ||
+            ratio >= QUOTA.RISK_RATIO ||
+            (!quotaStatus.persisted && ratio >= QUOTA.PRESSURE_RATIO)
+        );
+
+        quotaStatus = {
+            ...quotaStatus,
+            usage,
+            quota,
+            ratio,
+            stores,
+            pending,
+            atRisk,
+            checkedAt: Date.now()
+        };
+
+        quotaListeners.forEach(callback => {
+            try {
+                callback(getStorageStatus());
+            } catch (e) {
+                console.error('Quota listener error:', e);
+            }
+        });
+        return quotaStatus;
+    }
+
+    /**
+     * Re-check soon after a write, without estimating on every one
+     */
+    function scheduleQuotaCheck() {
+        if (quotaCheckTimer) return;
+        quotaCheckTimer = setTimeout(() => {
+            quotaCheckTimer = null;
+            checkStorage().catch(e => console.warn('Storage check failed:', e));
+        }, 1000);
+    }
+
+    /**
+     * Last measured storage status (copy)
+     */
+    function getStorageStatus() {
+        return { ...quotaStatus, stores: { ...quotaStatus.stores } };
+    }
+
+    /**
+     * Subscribe to storage checks
+     * @param {Function} callback - Receives getStorageStatus()
+     * @returns {Function} Unsubscribe
+     */
+    function onQuotaChange(callback) {
+        quotaListeners.push(callback);
+        return () => {
+            const index = quotaListeners.indexOf(callback);
+            if (index > -1) quotaListeners.splice(index, 1);
+        };
+    }
+
+    // ==========================================
+    // Schema Migrations
+    // ==========================================
+
+    /**
+     * Run every migration step newer than the database's stored version, in order
+     */
+    function runMigrations(database, transaction, oldVersion) {
+        MIGRATIONS
+            .filter(migration => migration.version > oldVersion)
+            .forEach(migration => {
+                console.log(`IndexedDB migration ${migration.version}: ${migration.description}`);
+                migration.up(database, transaction);
+            });
+    }
+
+    /**
+     * Rewrite every record in a store (within a migration's upgrade transaction)
+     * @param {Function} transform - record => new record, or null to delete it
+     */
+    function eachRecord(store, transform) {
+        store.openCursor().onsuccess = (event) => {
+            const cursor = event.target.result;
+            if (!cursor) return;
+            const updated = transform(cursor.value);
+            if (updated === null) {
+                cursor.delete();
+            } else {
+                cursor.update(updated);
+            }
+            cursor.continue();
+        };
+    }
+
+    /**
+     * Move anything saved under the localStorage fallback into IndexedDB, then remove it.
+     * Queue and rejected records get fresh IndexedDB ids (the fallback used floating-point ids).
+     * Runs under a lock so two tabs opening together don't import the same items twice.
+     */
+    function importFallbackData() {
+        const locks = navigator.locks;
+        if (locks && typeof locks.request === 'function') {
+            return locks.request(IMPORT_LOCK, importFallbackRecords);
+        }
+        return importFallbackRecords();
+    }
+
+    function importFallbackRecords() {
+        const read = key => {
+            try {
+                return JSON.parse(localStorage.getItem(key));
+            } catch (e) {
+                return null;
+            }
+        };
+        const keys = Object.keys(localStorage);
+        const queueKey = keyFor(FALLBACK_KEYS.QUEUE);
+        const rejectedKey = keyFor(FALLBACK_KEYS.REJECTED);
+        const tablesKey = keyFor(FALLBACK_KEYS.TABLES);
+        const formPrefix = keyFor(FALLBACK_KEYS.FORM_PREFIX);
+        const cachePrefix = keyFor(FALLBACK_KEYS.CACHE_PREFIX);
+
+        const queue = read(queueKey) || [];
+        const rejected = read(rejectedKey) || [];
+        const tables = read(tablesKey);
+        const forms = keys.filter(k => k.startsWith(formPrefix));
+        const cached = keys.filter(k => k.startsWith(cachePrefix));
+
+        const imported = [
+            ...(localStorage.getItem(queueKey) !== null ? [queueKey] : []),
+            ...(localStorage.getItem(rejectedKey) !== null ? [rejectedKey] : []),
+            ...(tables ? [tablesKey] : []),
+            ...forms,
+            ...cached
+        ];
+        if (imported.length === 0) return Promise.resolve(0);
+
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(
+                [STORES.QUEUE, STORES.REJECTED, STORES.TABLES, STORES.FORM_DATA, STORES.CACHE],
+                'readwrite'
+            );
+
+            // Oldest first so replay order is kept
+            const withoutId = ({ id, ...record }) => record;
+            queue
+                .slice()
+                .sort((a, b) => a.timestamp - b.timestamp)
+                .forEach(item => transaction.objectStore(STORES.QUEUE).add(withoutId(item)));
+            rejected.forEach(item => transaction.objectStore(STORES.REJECTED).add(withoutId(item)));
+
+            // Keep whichever copy is newer for keyed records
+            const putIfNewer = (storeName, record) => {
+                const store = transaction.objectStore(storeName);
+                const getRequest = store.get(record[store.keyPath]);
+                getRequest.onsuccess = () => {
+                    const existing = getRequest.result;
+                    if (!existing || (existing.timestamp || 0) < (record.timestamp || 0)) {
+                        store.put(record);
+                    }
+                };
+            };
+            if (tables) {
+                putIfNewer(STORES.TABLES, { ...tables, id: 'current' });
+            }
+            forms.forEach(key => {
+                const item = read(key);
+                if (item) putIfNewer(STORES.FORM_DATA, { ...item, formId: key.slice(formPrefix.length) });
+            });
+            cached.forEach(key => {
+                const item = read(key);
+                if (item) putIfNewer(STORES.CACHE, { ...item, key: key.slice(cachePrefix.length) });
+            });
+
+            transaction.oncomplete = () => {
+                imported.forEach(key => localStorage.removeItem(key));
+                console.log(`Imported ${queue.length} queued and ${rejected.length} rejected request(s) from localStorage fallback`);
+                resolve(queue.length + rejected.length);
+            };
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error);
         });
     }
 
@@ -83,6 +926,31 @@ const ORBStorage = (function() {
         return transaction.objectStore(storeName);
     }
 
+    /**
+     * Run writes against one store, settling with the transaction rather than the request: a full
+     * disk aborts the transaction (QuotaExceededError) after the request's onsuccess has fired
+     * @param {Function} operation - store => the request whose result to resolve with (optional)
+     * @returns {Promise} Resolves once the writes are committed
+     */
+    function writeTransaction(storeName, operation) {
+        return new Promise((resolve, reject) => {
+            const store = dbTransaction(storeName, 'readwrite');
+            const transaction = store.transaction;
+            const request = operation(store);
+            transaction.oncomplete = () => resolve(request ? request.result : undefined);
+            transaction.onabort = () => reject(transaction.error);
+            transaction.onerror = () => reject(transaction.error);
+        });
+    }
+
+    /**
+     * add/put one record
+     * @returns {Promise} Resolves with the record's key once it is committed
+     */
+    function writeRecord(storeName, method, item) {
+        return writeTransaction(storeName, store => store[method](item));
+    }
+
     // ==========================================
     // Request Queue Operations
     // ==========================================
@@ -91,27 +959,28 @@ const ORBStorage = (function() {
      * Add a failed request to the queue
      */
     async function queueRequest(request) {
-        const item = {
+        const item = await sealRecord(STORES.QUEUE, {
             ...request,
-            timestamp: Date.now(),
-            retryCount: 0
-        };
+            timestamp: request.timestamp || Date.now(), // imported backups keep their place in the stream
+            retryCount: 0,
+            state: 'pending',
+            nextAttemptAt: Date.now()
+        });
 
-        if (useIndexedDB && db) {
-            return new Promise((resolve, reject) => {
-                const store = dbTransaction(STORES.QUEUE, 'readwrite');
-                const addRequest = store.add(item);
-                addRequest.onsuccess = () => resolve(addRequest.result);
-                addRequest.onerror = () => reject(addRequest.error);
-            });
-        } else {
-            // localStorage fallback
-            const queue = JSON.parse(localStorage.getItem('orb_queue') || '[]');
-            item.id = Date.now() + Math.random();
-            queue.push(item);
-            localStorage.setItem('orb_queue', JSON.stringify(queue));
-            return item.id;
-        }
+        const id = await withQuotaRetry(() => {
+            if (useIndexedDB && db) {
+                return writeRecord(STORES.QUEUE, 'add', item);
+            } else {
+                // localStorage fallback
+                const queue = JSON.parse(localStorage.getItem(keyFor('queue')) || '[]');
+                item.id = Date.now() + Math.random();
+                queue.push(item);
+                localStorage.setItem(keyFor('queue'), JSON.stringify(queue));
+                return item.id;
+            }
+        });
+        scheduleQuotaCheck();
+        return id;
     }
 
     /**
@@ -122,11 +991,11 @@ const ORBStorage = (function() {
             return new Promise((resolve, reject) => {
                 const store = dbTransaction(STORES.QUEUE, 'readonly');
                 const getAllRequest = store.getAll();
-                getAllRequest.onsuccess = () => resolve(getAllRequest.result || []);
+                getAllRequest.onsuccess = () => resolve(openRecords(getAllRequest.result || []));
                 getAllRequest.onerror = () => reject(getAllRequest.error);
             });
         } else {
-            return JSON.parse(localStorage.getItem('orb_queue') || '[]');
+            return openRecords(JSON.parse(localStorage.getItem(keyFor('queue')) || '[]'));
         }
     }
 
@@ -142,7 +1011,7 @@ const ORBStorage = (function() {
                 countRequest.onerror = () => reject(countRequest.error);
             });
         } else {
-            const queue = JSON.parse(localStorage.getItem('orb_queue') || '[]');
+            const queue = JSON.parse(localStorage.getItem(keyFor('queue')) || '[]');
             return queue.length;
         }
     }
@@ -152,51 +1021,65 @@ const ORBStorage = (function() {
      */
     async function removeFromQueue(id) {
         if (useIndexedDB && db) {
-            return new Promise((resolve, reject) => {
-                const store = dbTransaction(STORES.QUEUE, 'readwrite');
-                const deleteRequest = store.delete(id);
-                deleteRequest.onsuccess = () => resolve(true);
-                deleteRequest.onerror = () => reject(deleteRequest.error);
-            });
+            await writeTransaction(STORES.QUEUE, store => store.delete(id));
+            return true;
         } else {
-            const queue = JSON.parse(localStorage.getItem('orb_queue') || '[]');
+            const queue = JSON.parse(localStorage.getItem(keyFor('queue')) || '[]');
             const filtered = queue.filter(item => item.id !== id);
-            localStorage.setItem('orb_queue', JSON.stringify(filtered));
+            localStorage.setItem(keyFor('queue'), JSON.stringify(filtered));
             return true;
         }
     }
 
     /**
-     * Update retry count for a queued request
+     * Get a single queued request, or null
      */
-    async function updateRetryCount(id, retryCount) {
+    async function getQueuedRequest(id) {
         if (useIndexedDB && db) {
             return new Promise((resolve, reject) => {
-                const store = dbTransaction(STORES.QUEUE, 'readwrite');
+                const store = dbTransaction(STORES.QUEUE, 'readonly');
+                const getRequest = store.get(id);
+                getRequest.onsuccess = () => resolve(openRecord(getRequest.result || null));
+                getRequest.onerror = () => reject(getRequest.error);
+            });
+        } else {
+            const queue = JSON.parse(localStorage.getItem(keyFor('queue')) || '[]');
+            return openRecord(queue.find(i => i.id === id) || null);
+        }
+    }
+
+    /**
+     * Merge changes into a queued request
+     */
+    async function updateQueuedRequest(id, changes) {
+        // Changing an encrypted field means re-sealing the whole record
+        if (ORBVault.SEALED_FIELDS[STORES.QUEUE].some(field => field in changes)) {
+            const current = await getQueuedRequest(id);
+            if (!current) return false;
+            if (current.locked) throw lockedError();
+            changes = await sealRecord(STORES.QUEUE, { ...current, ...changes });
+        }
+
+        if (useIndexedDB && db) {
+            let found = false;
+            await writeTransaction(STORES.QUEUE, store => {
                 const getRequest = store.get(id);
                 getRequest.onsuccess = () => {
                     const item = getRequest.result;
-                    if (item) {
-                        item.retryCount = retryCount;
-                        item.lastRetry = Date.now();
-                        const putRequest = store.put(item);
-                        putRequest.onsuccess = () => resolve(true);
-                        putRequest.onerror = () => reject(putRequest.error);
-                    } else {
-                        resolve(false);
-                    }
+                    if (!item) return;
+                    found = true;
+                    store.put({ ...item, ...changes, id });
                 };
-                getRequest.onerror = () => reject(getRequest.error);
             });
+            return found;
         } else {
-            const queue = JSON.parse(localStorage.getItem('orb_queue') || '[]');
+            const queue = JSON.parse(localStorage.getItem(keyFor('queue')) || '[]');
             const item = queue.find(i => i.id === id);
             if (item) {
-                item.retryCount = retryCount;
-                item.lastRetry = Date.now();
-                localStorage.setItem('orb_queue', JSON.stringify(queue));
+                Object.assign(item, changes, { id });
+                localStorage.setItem(keyFor('queue'), JSON.stringify(queue));
             }
-            return true;
+            return Boolean(item);
         }
     }
 
@@ -205,14 +1088,10 @@ const ORBStorage = (function() {
      */
     async function clearQueue() {
         if (useIndexedDB && db) {
-            return new Promise((resolve, reject) => {
-                const store = dbTransaction(STORES.QUEUE, 'readwrite');
-                const clearRequest = store.clear();
-                clearRequest.onsuccess = () => resolve(true);
-                clearRequest.onerror = () => reject(clearRequest.error);
-            });
+            await writeTransaction(STORES.QUEUE, store => store.clear());
+            return true;
         } else {
-            localStorage.removeItem('orb_queue');
+            localStorage.removeItem(keyFor('queue'));
             return true;
         }
     }
@@ -223,64 +1102,300 @@ const ORBStorage = (function() {
 
     /**
      * Auto-save form data
+     * @param {number} timestamp - When the draft was taken (defaults to now; imported drafts keep theirs)
      */
-    async function saveFormData(formId, data) {
-        const item = {
+    async function saveFormData(formId, data, timestamp = Date.now()) {
+        const item = await sealRecord(STORES.FORM_DATA, {
             formId,
             data,
+            timestamp
+        });
+
+        return withQuotaRetry(() => {
+            if (useIndexedDB && db) {
+                return writeRecord(STORES.FORM_DATA, 'put', item).then(() => true);
+            } else {
+                localStorage.setItem(keyFor(`form_${formId}`), JSON.stringify(item));
+                return true;
+            }
+        });
+    }
+
+    /**
+     * Get saved form data
+     */
+    async function getFormData(formId) {
+        const record = await getFormRecord(formId);
+        return record ? record.data : null;
+    }
+
+    /**
+     * Saved draft as { formId, data, timestamp }, or null (also while it's locked)
+     */
+    async function getFormRecord(formId) {
+        let record = null;
+        if (useIndexedDB && db) {
+            record = await new Promise((resolve, reject) => {
+                const store = dbTransaction(STORES.FORM_DATA, 'readonly');
+                const getRequest = store.get(formId);
+                getRequest.onsuccess = () => resolve(getRequest.result || null);
+                getRequest.onerror = () => reject(getRequest.error);
+            });
+        } else {
+            const item = localStorage.getItem(keyFor(`form_${formId}`));
+            record = item ? JSON.parse(item) : null;
+        }
+
+        const opened = await openRecord(record);
+        return opened && !opened.locked ? opened : null;
+    }
+
+    /**
+     * All saved drafts as { formId, data, timestamp } records (locked ones flagged, without data)
+     */
+    async function getAllFormData() {
+        if (useIndexedDB && db) {
+            return new Promise((resolve, reject) => {
+                const store = dbTransaction(STORES.FORM_DATA, 'readonly');
+                const getAllRequest = store.getAll();
+                getAllRequest.onsuccess = () => resolve(openRecords(getAllRequest.result || []));
+                getAllRequest.onerror = () => reject(getAllRequest.error);
+            });
+        } else {
+            const prefix = keyFor('form_');
+            return openRecords(Object.keys(localStorage)
+                .filter(key => key.startsWith(prefix))
+                .map(key => JSON.parse(localStorage.getItem(key))));
+        }
+    }
+
+    /**
+     * Clear saved form data
+     */
+    async function clearFormData(formId) {
+        if (useIndexedDB && db) {
+            await writeTransaction(STORES.FORM_DATA, store => store.delete(formId));
+            return true;
+        } else {
+            localStorage.removeItem(keyFor(`form_${formId}`));
+            return true;
+        }
+    }
+
+    // ==========================================
+    // API Response Cache
+    // ==========================================
+
+    /**
+     * Store a GET response under its endpoint key
+     */
+    async function setCachedResponse(key, data) {
+        const item = {
+            key,
+            data,
             timestamp: Date.now()
         };
 
+        scheduleQuotaCheck();
+
+        if (useIndexedDB && db) {
+            try {
+                await writeRecord(STORES.CACHE, 'put', item);
+                return true;
+            } catch (e) {
+                if (!isQuotaError(e)) throw e;
+                // A cached response is never worth failing over - make room for the next one
+                console.warn('Storage full - response not cached');
+                checkStorage({ force: true }).catch(() => {});
+                return false;
+            }
+        } else {
+            try {
+                localStorage.setItem(keyFor(`cache_${key}`), JSON.stringify(item));
+            } catch (e) {
+                console.warn('localStorage cache write failed:', e);
+                if (isQuotaError(e)) checkStorage({ force: true }).catch(() => {});
+                return false;
+            }
+            return true;
+        }
+    }
+
+    /**
+     * Get a cached response record ({ key, data, timestamp }) or null
+     */
+    async function getCachedResponse(key) {
         if (useIndexedDB && db) {
             return new Promise((resolve, reject) => {
-                const store = dbTransaction(STORES.FORM_DATA, 'readwrite');
-                const putRequest = store.put(item);
-                putRequest.onsuccess = () => resolve(true);
-                putRequest.onerror = () => reject(putRequest.error);
+                const store = dbTransaction(STORES.CACHE, 'readonly');
+                const getRequest = store.get(key);
+                getRequest.onsuccess = () => resolve(getRequest.result || null);
+                getRequest.onerror = () => reject(getRequest.error);
             });
         } else {
-            localStorage.setItem(`orb_form_${formId}`, JSON.stringify(item));
+            const item = localStorage.getItem(keyFor(`cache_${key}`));
+            return item ? JSON.parse(item) : null;
+        }
+    }
+
+    /**
+     * Remove every cached response whose key starts with one of the given prefixes
+     */
+    async function invalidateCachedResponses(prefixes) {
+        const matches = key => prefixes.some(prefix => key.startsWith(prefix));
+
+        if (useIndexedDB && db) {
+            let removed = 0;
+            await writeTransaction(STORES.CACHE, store => {
+                store.openCursor().onsuccess = (event) => {
+                    const cursor = event.target.result;
+                    if (!cursor) return;
+                    if (matches(cursor.key)) {
+                        cursor.delete();
+                        removed++;
+                    }
+                    cursor.continue();
+                };
+            });
+            return removed;
+        } else {
+            const cachePrefix = keyFor('cache_');
+            const keys = Object.keys(localStorage)
+                .filter(k => k.startsWith(cachePrefix) && matches(k.slice(cachePrefix.length)));
+            keys.forEach(k => localStorage.removeItem(k));
+            return keys.length;
+        }
+    }
+
+    /**
+     * Clear the entire response cache
+     */
+    async function clearCachedResponses() {
+        if (useIndexedDB && db) {
+            await writeTransaction(STORES.CACHE, store => store.clear());
+            return true;
+        } else {
+            Object.keys(localStorage)
+                .filter(k => k.startsWith(keyFor('cache_')))
+                .forEach(k => localStorage.removeItem(k));
             return true;
         }
     }
 
+    // ==========================================
+    // Sounding Tables
+    // ==========================================
+
     /**
-     * Get saved form data
+     * Save the downloaded sounding tables ({ version, metadata, tanks })
      */
-    async function getFormData(formId) {
+    async function saveSoundingTables(tables) {
+        const item = {
+            id: 'current',
+            tables,
+            timestamp: Date.now()
+        };
+
+        if (useIndexedDB && db) {
+            await writeTransaction(STORES.TABLES, store => store.put(item));
+            return true;
+        } else {
+            localStorage.setItem(keyFor('sounding_tables'), JSON.stringify(item));
+            return true;
+        }
+    }
+
+    /**
+     * Get the stored sounding tables, or null if never downloaded
+     */
+    async function getSoundingTables() {
         if (useIndexedDB && db) {
             return new Promise((resolve, reject) => {
-                const store = dbTransaction(STORES.FORM_DATA, 'readonly');
-                const getRequest = store.get(formId);
+                const store = dbTransaction(STORES.TABLES, 'readonly');
+                const getRequest = store.get('current');
                 getRequest.onsuccess = () => {
                     const result = getRequest.result;
-                    resolve(result ? result.data : null);
+                    resolve(result ? result.tables : null);
                 };
                 getRequest.onerror = () => reject(getRequest.error);
             });
         } else {
-            const item = localStorage.getItem(`orb_form_${formId}`);
-            if (item) {
-                const parsed = JSON.parse(item);
-                return parsed.data;
+            const item = localStorage.getItem(keyFor('sounding_tables'));
+            return item ? JSON.parse(item).tables : null;
+        }
+    }
+
+    // ==========================================
+    // Rejected Requests
+    // ==========================================
+
+    /**
+     * Keep a queued request the server rejected, with its status and error body
+     */
+    async function addRejected(request) {
+        const { id, ...fields } = request;
+        const item = await sealRecord(STORES.REJECTED, {
+            ...fields,
+            rejectedAt: Date.now()
+        });
+
+        return withQuotaRetry(() => {
+            if (useIndexedDB && db) {
+                return writeRecord(STORES.REJECTED, 'add', item);
+            } else {
+                const rejected = JSON.parse(localStorage.getItem(keyFor('rejected')) || '[]');
+                item.id = Date.now() + Math.random();
+                rejected.push(item);
+                localStorage.setItem(keyFor('rejected'), JSON.stringify(rejected));
+                return item.id;
             }
-            return null;
+        });
+    }
+
+    /**
+     * Get a rejected request by id, or null
+     */
+    async function getRejected(id) {
+        if (useIndexedDB && db) {
+            return new Promise((resolve, reject) => {
+                const store = dbTransaction(STORES.REJECTED, 'readonly');
+                const getRequest = store.get(id);
+                getRequest.onsuccess = () => resolve(openRecord(getRequest.result || null));
+                getRequest.onerror = () => reject(getRequest.error);
+            });
+        } else {
+            const rejected = JSON.parse(localStorage.getItem(keyFor('rejected')) || '[]');
+            return openRecord(rejected.find(item => item.id === id) || null);
         }
     }
 
     /**
-     * Clear saved form data
+     * Get all rejected requests
      */
-    async function clearFormData(formId) {
+    async function getAllRejected() {
         if (useIndexedDB && db) {
             return new Promise((resolve, reject) => {
-                const store = dbTransaction(STORES.FORM_DATA, 'readwrite');
-                const deleteRequest = store.delete(formId);
-                deleteRequest.onsuccess = () => resolve(true);
-                deleteRequest.onerror = () => reject(deleteRequest.error);
+                const store = dbTransaction(STORES.REJECTED, 'readonly');
+                const getAllRequest = store.getAll();
+                getAllRequest.onsuccess = () => resolve(openRecords(getAllRequest.result || []));
+                getAllRequest.onerror = () => reject(getAllRequest.error);
             });
         } else {
-            localStorage.removeItem(`orb_form_${formId}`);
+            return openRecords(JSON.parse(localStorage.getItem(keyFor('rejected')) || '[]'));
+        }
+    }
+
+    /**
+     * Remove a rejected request (resubmitted or discarded)
+     */
+    async function removeRejected(id) {
+        if (useIndexedDB && db) {
+            await writeTransaction(STORES.REJECTED, store => store.delete(id));
+            return true;
+        } else {
+            const rejected = JSON.parse(localStorage.getItem(keyFor('rejected')) || '[]');
+            const filtered = rejected.filter(item => item.id !== id);
+            localStorage.setItem(keyFor('rejected'), JSON.stringify(filtered));
             return true;
         }
     }
@@ -291,7 +1406,7 @@ const ORBStorage = (function() {
 
     function set(key, value) {
         try {
-            localStorage.setItem(`orb_${key}`, JSON.stringify(value));
+            localStorage.setItem(keyFor(key), JSON.stringify(value));
             return true;
         } catch (e) {
             console.warn('localStorage set failed:', e);
@@ -301,7 +1416,7 @@ const ORBStorage = (function() {
 
     function get(key, defaultValue = null) {
         try {
-            const item = localStorage.getItem(`orb_${key}`);
+            const item = localStorage.getItem(keyFor(key));
             return item ? JSON.parse(item) : defaultValue;
         } catch (e) {
             console.warn('localStorage get failed:', e);
@@ -311,7 +1426,7 @@ const ORBStorage = (function() {
 
     function remove(key) {
         try {
-            localStorage.removeItem(`orb_${key}`);
+            localStorage.removeItem(keyFor(key));
             return true;
         } catch (e) {
             console.warn('localStorage remove failed:', e);
@@ -325,14 +1440,33 @@ const ORBStorage = (function() {
 
     return {
         init: initDB,
+        ready: initDB,
+        
+        // Signed-in user the data belongs to
+        user: () => user,
+        dbName,
+        purge: purgeUser,
+        isLocked,
+        rotateKey,
+        sign: signText,
+        verify: verifyText,
+
+        // Storage quota
+        quota: {
+            check: checkStorage,
+            status: getStorageStatus,
+            onChange: onQuotaChange,
+            persist: requestPersistence
+        },
         
         // Request queue
         queue: {
             add: queueRequest,
+            get: getQueuedRequest,
             getAll: getQueuedRequests,
             count: getQueueCount,
             remove: removeFromQueue,
-            updateRetry: updateRetryCount,
+            update: updateQueuedRequest,
             clear: clearQueue
         },
         
@@ -340,9 +1474,33 @@ const ORBStorage = (function() {
         form: {
             save: saveFormData,
             get: getFormData,
+            getRecord: getFormRecord,
+            getAll: getAllFormData,
             clear: clearFormData
         },
         
+        // API response cache
+        cache: {
+            get: getCachedResponse,
+            set: setCachedResponse,
+            invalidate: invalidateCachedResponses,
+            clear: clearCachedResponses
+        },
+        
+        // Rejected requests
+        rejected: {
+            add: addRejected,
+            get: getRejected,
+            getAll: getAllRejected,
+            remove: removeRejected
+        },
+        
+        // Sounding tables
+        tables: {
+            get: getSoundingTables,
+            save: saveSoundingTables
+        },
+        
         // Simple key-value
         set,
         get,
@@ -0,0 +1,472 @@
+/**
+ * Oil Record Book Tool - Service Worker
+ * Precaches the app shell (pages, CSS, JS, fonts) so the tool opens with no connectivity,
+ * and replays the offline request queue through Background Sync once connectivity returns
+ */
+
+// Bump CACHE_VERSION when the shell list changes; the ?v= query (APP_VERSION) busts it per deploy
+const CACHE_VERSION = 'v10';
+const APP_VERSION = new URL(self.location).searchParams.get('v') || 'dev';
+const CACHE_PREFIX = 'orb-shell-';
+const CACHE_NAME = `${CACHE_PREFIX}${CACHE_VERSION}-${APP_VERSION}`;
+
+// Queue replay rules shared with offline.js (ORBReplay), and the record encryption storage.js uses (ORBVault)
+importScripts(`/static/js/replay.js?v=${APP_VERSION}`, `/static/js/vault.js?v=${APP_VERSION}`);
+
+// IndexedDB written by storage.js - the service worker only reads and settles the queue
+const CURRENT_USER_ENDPOINT = '/auth/api/current-user';
+const QUEUE_STORE = 'request_queue';
+const REJECTED_STORE = 'rejected_requests';
+const CACHE_STORE = 'api_cache';
+const VAULT_STORE = 'vault';
+
+// Rendered templates (require login - skipped at install if we get redirected)
+const SHELL_PAGES = [
+    '/',
+    '/fuel',
+    '/soundings',
+    '/history',
+    '/new-hitch'
+];
+
+const SHELL_ASSETS = [
+    '/static/css/style.css',
+    '/static/js/vault.js',
+    '/static/js/storage.js',
+    '/static/js/replay.js',
+    '/static/js/backup.js',
+    '/static/js/validation.js',
+    '/static/js/offline.js',
+    '/static/js/app.js',
+    '/static/js/soundings.js',
+    '/static/js/entries.js',
+    '/static/js/anomalies.js',
+    '/static/js/charts.js',
+    '/static/manifest.webmanifest',
+    '/static/icons/icon.svg'
+];
+
+const FONT_STYLESHEET = 'https://fonts.googleapis.com/css2?family=JetBrains+Mono:wght@400;500;600;700&family=Work+Sans:wght@400;500;600;700&display=swap';
+const FONT_HOSTS = ['fonts.googleapis.com', 'fonts.gstatic.com'];
+
+// Never serve these from the shell cache
+const BYPASS_PREFIXES = ['/api/', '/auth/', '/health'];
+
+// ==========================================
+// Install - precache the app shell
+// ==========================================
+
+self.addEventListener('install', (event) => {
+    event.waitUntil(
+        caches.open(CACHE_NAME)
+            .then(cache => Promise.all([
+                cache.addAll(SHELL_ASSETS),
+                precachePages(cache),
+                precacheFonts(cache)
+            ]))
+            .then(() => self.skipWaiting())
+    );
+});
+
+/**
+ * Cache each page individually - a missing page must not fail the install
+ */
+async function precachePages(cache) {
+    await Promise.all(SHELL_PAGES.map(async (path) => {
+        try {
+            const response = await fetch(path, { credentials: 'same-origin', cache: 'no-store' });
+            if (isCacheablePage(response)) {
+                await cache.put(path, response);
+            }
+        } catch (e) {
+            console.warn('[SW] Could not precache page:', path);
+        }
+    }));
+}
+
+/**
+ * Cache the Google Fonts stylesheet and every font file it references
+ */
+async function precacheFonts(cache) {
+    try {
+        const response = await fetch(FONT_STYLESHEET, { mode: 'cors' });
+        if (!response.ok) return;
+
+        const css = await response.clone().text();
+        await cache.put(FONT_STYLESHEET, response);
+
+        const fontUrls = [...css.matchAll(/url\((https:\/\/fonts\.gstatic\.com[^)]+)\)/g)].map(m => m[1]);
+        await Promise.all(fontUrls.map(async (url) => {
+            try {
+                const fontResponse = await fetch(url, { mode: 'cors' });
+                if (fontResponse.ok) {
+                    await cache.put(url, fontResponse);
+                }
+            } catch (e) {
+                console.warn('[SW] Could not precache font:', url);
+            }
+        }));
+    } catch (e) {
+        console.warn('[SW] Could not precache fonts');
+    }
+}
+
+function isCacheablePage(response) {
+    return response.ok && !response.redirected && response.type === 'basic';
+}
+
+// ==========================================
+// Activate - drop caches from older versions
+// ==========================================
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil(
+        caches.keys()
+            .then(keys => Promise.all(
+                keys
+                    .filter(key => key.startsWith(CACHE_PREFIX) && key !== CACHE_NAME)
+                    .map(key => caches.delete(key))
+            ))
+            .then(() => self.clients.claim())
+    );
+});
+
+// ==========================================
+// Fetch - cache-first for the shell
+// ==========================================
+
+self.addEventListener('fetch', (event) => {
+    const request = event.request;
+    if (request.method !== 'GET') return;
+
+    const url = new URL(request.url);
+
+    if (FONT_HOSTS.includes(url.hostname)) {
+        event.respondWith(cacheFirst(request));
+        return;
+    }
+
+    if (url.origin !== self.location.origin) return;
+
+    // Cached pages carry the previous user's nav/role - drop them on logout
+    if (request.mode === 'navigate' && url.pathname === '/auth/logout') {
+        event.waitUntil(purgePages());
+        return;
+    }
+
+    if (BYPASS_PREFIXES.some(prefix => url.pathname.startsWith(prefix))) return;
+
+    if (request.mode === 'navigate') {
+        event.respondWith(servePage(event, url.pathname));
+        return;
+    }
+
+    if (url.pathname.startsWith('/static/')) {
+        event.respondWith(cacheFirst(request));
+    }
+});
+
+/**
+ * Remove cached pages (logout) - static assets stay
+ */
+async function purgePages() {
+    const cache = await caches.open(CACHE_NAME);
+    await Promise.all(SHELL_PAGES.map(path => cache.delete(path)));
+}
+
+/**
+ * Serve a static asset from cache, falling back to network (and caching the result)
+ */
+async function cacheFirst(request) {
+    const cache = await caches.open(CACHE_NAME);
+    const cached = await cache.match(request, { ignoreSearch: true });
+    if (cached) {
+        return cached;
+    }
+
+    const response = await fetch(request);
+    if (response.ok || response.type === 'opaque') {
+        cache.put(request, response.clone());
+    }
+    return response;
+}
+
+/**
+ * Serve a page from cache immediately and refresh the cached copy in the background
+ * so the next load reflects the current user/role
+ */
+async function servePage(event, path) {
+    const cache = await caches.open(CACHE_NAME);
+    const cached = await cache.match(path);
+
+    const refresh = fetch(event.request)
+        .then(response => {
+            if (isCacheablePage(response)) {
+                cache.put(path, response.clone());
+            } else if (response.redirected) {
+                // Session expired - stop serving the stale page
+                cache.delete(path);
+            }
+            return response;
+        });
+
+    if (cached) {
+        event.waitUntil(refresh.catch(() => {}));
+        return cached;
+    }
+
+    try {
+        return await refresh;
+    } catch (e) {
+        return new Response(
+            '<h1>Offline</h1><p>This page has not been opened on this device yet. Reconnect and try again.</p>',
+            { status: 503, headers: { 'Content-Type': 'text/html; charset=utf-8' } }
+        );
+    }
+}
+
+// ==========================================
+// Background Sync - replay the request queue with no tab open
+// ==========================================
+
+// Tag is "<SYNC_TAG>:<user id>:<database name>" - each user's queue lives in its own database
+self.addEventListener('sync', (event) => {
+    const [tag, userId, dbName] = event.tag.split(':');
+    if (tag === ORBReplay.RULES.SYNC_TAG && userId && dbName) {
+        event.waitUntil(replayQueue(userId, dbName, event.lastChance));
+    }
+});
+
+/**
+ * Replay the queue with the same stream, retry and rejection rules as the page.
+ * Fails while items are still waiting so the browser schedules another attempt; once it
+ * gives up, the next page load replays them.
+ */
+async function replayQueue(userId, dbName, lastChance) {
+    // Never send one user's queue under someone else's session
+    const signedIn = await currentUserId();
+    if (signedIn !== userId) {
+        console.warn('[SW] Skipping queue replay - its owner is not signed in');
+        return;
+    }
+
+    const db = await openQueueDB(dbName);
+    if (!db) return;
+
+    // Queued bodies are encrypted at rest; without the session's key they stay locked and wait for a page
+    const ring = await openKeyring(db);
+
+    try {
+        const waiting = await ORBReplay.withReplayLock(async () => {
+            const blocked = await getBlockedStreams(db);
+            const queue = await Promise.all((await idbGetAll(db, QUEUE_STORE)).map(item => openQueued(ring, item)));
+            const streams = ORBReplay.dueStreams(queue, blocked);
+
+            if (streams.length > 0) {
+                const counts = await ORBReplay.replayStreams(streams, item => settleQueued(db, ring, item));
+                if (counts.success > 0) {
+                    await notifyClients('synced', { success: counts.success, failed: counts.failed });
+                }
+            }
+
+            const remaining = await idbGetAll(db, QUEUE_STORE);
+            const stillBlocked = await getBlockedStreams(db);
+            return remaining.filter(item =>
+                !ORBReplay.isHeld(item) &&
+                (ring.openKey || !item.sealed) &&
+                item.state !== ORBReplay.QUEUE_STATE.NEEDS_ATTENTION &&
+                !stillBlocked.has(item.stream || ORBReplay.getQueueStream(item.endpoint))
+            ).length;
+        });
+
+        if (waiting > 0 && !lastChance) {
+            throw new Error(`${waiting} queued request(s) still waiting`);
+        }
+    } finally {
+        db.close();
+    }
+}
+
+/**
+ * The page's keyring for this device. Never makes or rewraps the device key - that is left to
+ * the page, so a replay can't race it. Without WebCrypto every key is null.
+ */
+async function openKeyring(db) {
+    const none = { sealKey: null, openKey: null, legacyKeys: [] };
+    if (!self.crypto || !self.crypto.subtle) return none;
+    try {
+        const device = db.objectStoreNames.contains(VAULT_STORE)
+            ? await idbRequest(db, VAULT_STORE, 'readonly', store => store.get(ORBVault.DEVICE_RECORD))
+            : null;
+        return await ORBVault.openKeyring(device || null, await ORBVault.fetchKeys(), { create: false });
+    } catch (e) {
+        console.warn('[SW] Could not open storage keys:', e);
+        return none;
+    }
+}
+
+/**
+ * Decrypt a queued item for sending; flagged locked (and skipped) when it can't be
+ */
+async function openQueued(ring, item) {
+    if (!item.sealed) return item;
+    try {
+        return await ORBVault.unseal(ring, item);
+    } catch (e) {
+        return { ...item, locked: true };
+    }
+}
+
+/**
+ * Send one queued item and settle it in IndexedDB (mirrors processQueueItem in offline.js)
+ * @returns {Promise<'synced'|'rejected'|'pending'>}
+ */
+async function settleQueued(db, ring, item) {
+    const result = await ORBReplay.send(item);
+
+    if (!result.done) {
+        const { changes, exhausted } = ORBReplay.failedAttempt(item, result.error);
+        await idbUpdate(db, QUEUE_STORE, item.id, changes);
+        if (exhausted) {
+            await notifyClients('retry_exhausted', { ...item, ...changes });
+        }
+        return 'pending';
+    }
+
+    if (result.ok) {
+        await idbDelete(db, QUEUE_STORE, item.id);
+        const prefixes = ORBReplay.invalidatedPrefixes(item.endpoint);
+        if (prefixes.length > 0) {
+            await idbDeleteKeys(db, CACHE_STORE, key => prefixes.some(prefix => key.startsWith(prefix)));
+            await notifyClients('cache-invalidated', { endpoint: item.endpoint, prefixes });
+        }
+    } else {
+        // Store before dequeuing so the entry is never lost
+        const record = { ...ORBReplay.rejection(item, result), rejectedAt: Date.now() };
+        const stored = ring.sealKey ? await ORBVault.seal(ring.sealKey, record, ORBVault.SEALED_FIELDS[REJECTED_STORE]) : record;
+        record.id = await idbAdd(db, REJECTED_STORE, stored);
+        await idbDelete(db, QUEUE_STORE, item.id);
+        await notifyClients('rejected', record);
+    }
+
+    await notifyClients('request-synced', {
+        id: item.id,
+        endpoint: item.endpoint,
+        method: item.method,
+        ok: result.ok,
+        status: result.status,
+        data: result.data
+    });
+    return result.ok ? 'synced' : 'rejected';
+}
+
+async function getBlockedStreams(db) {
+    const rejected = await idbGetAll(db, REJECTED_STORE);
+    return new Set(rejected.map(r => r.stream || ORBReplay.getQueueStream(r.endpoint)));
+}
+
+/**
+ * Id of the signed-in user (string), or null when signed out. Throws when offline so the sync is retried.
+ */
+async function currentUserId() {
+    const response = await fetch(CURRENT_USER_ENDPOINT, {
+        cache: 'no-store',
+        credentials: 'same-origin',
+        headers: { 'Accept': 'application/json' }
+    });
+    if (response.redirected || !response.ok) return null;
+    const body = await response.json().catch(() => null);
+    return body && body.user ? String(body.user.id) : null;
+}
+
+/**
+ * Tell open pages what happened - offline.js applies it like an event from another tab
+ */
+async function notifyClients(event, data) {
+    const windows = await self.clients.matchAll({ type: 'window', includeUncontrolled: true });
+    windows.forEach(client => client.postMessage({ type: 'orb-replay', event, data }));
+}
+
+/**
+ * Open the page's database at whatever version it is. Never creates it - with no
+ * database there is nothing queued.
+ */
+function openQueueDB(dbName) {
+    return new Promise((resolve) => {
+        const request = indexedDB.open(dbName);
+        request.onupgradeneeded = () => request.transaction.abort();
+        request.onerror = () => resolve(null);
+        request.onsuccess = () => {
+            const db = request.result;
+            if (!db.objectStoreNames.contains(QUEUE_STORE) || !db.objectStoreNames.contains(REJECTED_STORE)) {
+                db.close();
+                resolve(null);
+                return;
+            }
+            // Let a page upgrade the schema while a replay is open
+            db.onversionchange = () => db.close();
+            resolve(db);
+        };
+    });
+}
+
+/**
+ * Run one request and settle with its transaction, so a write only resolves once it is committed
+ * (a full disk aborts the transaction after the request's onsuccess has fired)
+ */
+function idbRequest(db, storeName, mode, operation) {
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction([storeName], mode);
+        const request = operation(transaction.objectStore(storeName));
+        transaction.oncomplete = () => resolve(request.result);
+        transaction.onabort = () => reject(transaction.error);
+        transaction.onerror = () => reject(transaction.error);
+    });
+}
+
+function idbGetAll(db, storeName) {
+    return idbRequest(db, storeName, 'readonly', store => store.getAll());
+}
+
+function idbAdd(db, storeName, value) {
+    return idbRequest(db, storeName, 'readwrite', store => store.add(value));
+}
+
+function idbDelete(db, storeName, key) {
+    return idbRequest(db, storeName, 'readwrite', store => store.delete(key));
+}
+
+/**
+ * Merge changes into a stored record (same as ORBStorage.queue.update)
+ */
+function idbUpdate(db, storeName, id, changes) {
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction([storeName], 'readwrite');
+        const store = transaction.objectStore(storeName);
+        let found = false;
+        store.get(id).onsuccess = (event) => {
+            const item = event.target.result;
+            if (!item) return;
+            found = true;
+            store.put({ ...item, ...changes, id });
+        };
+        transaction.oncomplete = () => resolve(found);
+        transaction.onabort = () => reject(transaction.error);
+        transaction.onerror = () => reject(transaction.error);
+    });
+}
+
+function idbDeleteKeys(db, storeName, matches) {
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction([storeName], 'readwrite');
+        transaction.objectStore(storeName).openCursor().onsuccess = (event) => {
+            const cursor = event.target.result;
+            if (!cursor) return;
+            if (matches(cursor.key)) cursor.delete();
+            cursor.continue();
+        };
+        transaction.oncomplete = () => resolve();
+        transaction.onabort = () => reject(transaction.error);
+        transaction.onerror = () => reject(transaction.error);
+    });
+}
@@ -0,0 +1,385 @@
+/**
+ * Oil Record Book Tool - Client Validation Module
+ * Declarative rules for each write payload, mirroring the server forms in src/security.py, so a
+ * submission the server would refuse is caught before it is sent or queued offline. Errors use
+ * the same { field: [messages] } shape as the "details" map validate_form returns.
+ */
+
+const ORBValidate = (function() {
+    const NAME_PATTERN = /^[a-zA-Z\s.-]+$/;
+    // Same list as FuelService.SERVICE_TANK_PAIRS (what /api/service-tanks offers and the server accepts)
+    const SERVICE_TANK_PAIRS = ['7', '9', '11', '13', '14', '18'];
+    const EVENT_TYPES = ['sewage_pump', 'potable_load'];
+    const EQUIPMENT_STATES = ['online', 'issue', 'offline'];
+
+    // Date sanity: nothing after today, nothing older than this
+    const MAX_DATE_AGE = 366 * 24 * 60 * 60 * 1000;
+
+    // ==========================================
+    // Rules
+    // ==========================================
+    // A rule is (value, data, context) => message or null. Apart from required(),
+    // rules pass blank values so optional fields are only checked when filled in.
+
+    function isBlank(value) {
+        return value === null || value === undefined || value === '' || Number.isNaN(value);
+    }
+
+    function required(message = 'This field is required.') {
+        return value => (isBlank(value) ? message : null);
+    }
+
+    /**
+     * Required only while predicate(data) holds (e.g. a note for a non-online status)
+     */
+    function requiredWhen(predicate, message) {
+        return (value, data) => (predicate(data) && isBlank(value) ? message : null);
+    }
+
+    function number({ min, max, integer = false } = {}) {
+        return value => {
+            if (isBlank(value)) return null;
+            const n = Number(value);
+            if (!Number.isFinite(n)) return 'Not a valid number.';
+            if (integer && !Number.isInteger(n)) return 'Not a valid integer value.';
+            if ((min !== undefined && n < min) || (max !== undefined && n > max)) {
+                return `Number must be between ${min} and ${max}.`;
+            }
+            return null;
+        };
+    }
+
+    function length({ min = 0, max }) {
+        return value => {
+            if (isBlank(value)) return null;
+            const size = String(value).trim().length;
+            if (size < min || size > max) {
+                return min > 0
+                    ? `Field must be between ${min} and ${max} characters long.`
+                    : `Field cannot be longer than ${max} characters.`;
+            }
+            return null;
+        };
+    }
+
+    function pattern(regex, message) {
+        return value => (isBlank(value) || regex.test(value) ? null : message);
+    }
+
+    function oneOf(choices) {
+        return value => (isBlank(value) || choices.includes(String(value)) ? null : 'Not a valid choice.');
+    }
+
+    function greaterThan(otherPath, message) {
+        return (value, data) => {
+            const other = getPath(data, otherPath);
+            return isBlank(value) || isBlank(other) || Number(value) > Number(other) ? null : message;
+        };
+    }
+
+    /**
+     * Parseable, not after today and not over a year old
+     */
+    function date() {
+        return value => {
+            if (isBlank(value)) return null;
+            const parsed = parseDate(value);
+            if (!parsed) return 'Not a valid datetime value.';
+
+            const endOfToday = new Date();
+            endOfToday.setHours(23, 59, 59, 999);
+            if (parsed > endOfToday) return 'Date is in the future.';
+            if (Date.now() - parsed > MAX_DATE_AGE) return 'Date is more than a year ago.';
+            return null;
+        };
+    }
+
+    /**
+     * A sounding no deeper than the tank's table goes - from /api/tanks metadata
+     * (context.tanks), else the sounding tables stored on this device
+     */
+    function withinTank(tankId, readingPath) {
+        return (value, data, context) => {
+            const reading = getPath(data, readingPath) || {};
+            if (isBlank(reading.feet) || isBlank(reading.inches)) return null;
+
+            const max = maxSounding(tankId, context);
+            if (!max) return null;
+            if (reading.feet * 12 + reading.inches > max.feet * 12 + max.inches) {
+                return `Deeper than the ${tankId} table (max ${max.feet}' ${max.inches}").`;
+            }
+            return null;
+        };
+    }
+
+    function maxSounding(tankId, context) {
+        const tank = context.tanks && context.tanks[tankId];
+        if (tank && tank.max_sounding) return tank.max_sounding;
+
+        if (typeof ORBSoundings !== 'undefined' && ORBSoundings.isLoaded()) {
+            try {
+                const soundings = ORBSoundings.getAvailableSoundings(tankId);
+                const [feet, inches] = soundings[soundings.length - 1];
+                return { feet, inches };
+            } catch (e) {
+                return null;
+            }
+        }
+        return null;
+    }
+
+    function personName(isRequired, label = 'Name') {
+        return [
+            ...(isRequired ? [required()] : []),
+            length({ min: 2, max: 100 }),
+            pattern(NAME_PATTERN, `${label} can only contain letters, spaces, periods, and hyphens`)
+        ];
+    }
+
+    // ==========================================
+    // Schemas
+    // ==========================================
+    // Per endpoint: detail key -> rules (read from data[key]) or { path, rules } for nested
+    // payload values. A function schema builds the fields from the payload.
+
+    function soundingFields(tankId) {
+        const reading = `tank_${tankId.toLowerCase()}`;
+        return {
+            [`${reading}_feet`]: {
+                path: `${reading}.feet`,
+                rules: [required(), number({ min: 0, max: 50, integer: true }), withinTank(tankId, reading)]
+            },
+            [`${reading}_inches`]: {
+                path: `${reading}.inches`,
+                rules: [required(), number({ min: 0, max: 11, integer: true })]
+            }
+        };
+    }
+
+    const SCHEMAS = {
+        '/fuel-tickets': {
+            ticket_date: [required(), date()],
+            meter_start: [required(), number({ min: 0, max: 999999.9 })],
+            meter_end: [
+                required(),
+                number({ min: 0, max: 999999.9 }),
+                greaterThan('meter_start', 'Meter end must be greater than meter start')
+            ],
+            service_tank_pair: [oneOf(SERVICE_TANK_PAIRS)],
+            engineer_name: personName(true),
+            notes: [length({ max: 500 })]
+        },
+
+        '/soundings': {
+            recorded_at: [required(), date()],
+            engineer_name: personName(true),
+            engineer_title: personName(true, 'Title'),
+            ...soundingFields('17P'),
+            ...soundingFields('17S')
+        },
+
+        '/service-tanks/active': {
+            tank_pair: [required(), oneOf(SERVICE_TANK_PAIRS)],
+            notes: [length({ max: 500 })]
+        },
+
+        '/status-events': {
+            event_type: [required(), oneOf(EVENT_TYPES)],
+            event_date: [required(), date()],
+            engineer_name: personName(false),
+            notes: [length({ max: 500 })]
+        },
+
+        // Keyed like the equipment modal's inputs (status_<id>, note_<id>)
+        '/equipment/bulk': data => {
+            const fields = { updated_by: personName(true) };
+            (data.updates || []).forEach((update, index) => {
+                fields[`status_${update.equipment_id}`] = {
+                    path: `updates.${index}.status`,
+                    rules: [required(), oneOf(EQUIPMENT_STATES)]
+                };
+                fields[`note_${update.equipment_id}`] = {
+                    path: `updates.${index}.note`,
+                    rules: [
+                        requiredWhen(() => update.status !== 'online', 'Note is required for issue or offline status'),
+                        length({ max: 500 })
+                    ]
+                };
+            });
+            return fields;
+        },
+
+        '/hitch/start': {
+            date: [required(), date()],
+            vessel: [length({ max: 100 }), pattern(/^[a-zA-Z0-9\s.-]+$/, 'Vessel name contains invalid characters')],
+            location: [length({ max: 200 }), pattern(/^[a-zA-Z0-9\s.,/-]+$/, 'Location contains invalid characters')],
+            charter: [length({ max: 100 }), pattern(/^[a-zA-Z0-9\s.-]+$/, 'Charter contains invalid characters')],
+            total_fuel_gallons: [required(), number({ min: 0, max: 500000 })],
+            fuel_on_log: [number({ min: 0, max: 500000 })],
+            correction: [number({ min: -10000, max: 10000 })],
+            engineer_name: personName(false)
+        }
+    };
+
+    // ==========================================
+    // Validation
+    // ==========================================
+
+    /**
+     * Check a payload against its endpoint's rules
+     * @param {Object} context - { tanks } from /api/tanks for tank-specific limits
+     * @returns {{valid: boolean, details: Object}} details as { field: [messages] }
+     */
+    function validate(endpoint, data, context = {}) {
+        const path = endpoint.split('?')[0];
+        const schema = typeof SCHEMAS[path] === 'function' ? SCHEMAS[path](data || {}) : SCHEMAS[path];
+        const details = {};
+        if (!schema) return { valid: true, details };
+
+        Object.entries(schema).forEach(([field, spec]) => {
+            const { path: valuePath, rules } = Array.isArray(spec) ? { path: field, rules: spec } : spec;
+            const value = getPath(data || {}, valuePath);
+            const messages = rules
+                .map(rule => rule(value, data || {}, context))
+                .filter(Boolean);
+            if (messages.length) details[field] = messages;
+        });
+
+        return { valid: Object.keys(details).length === 0, details };
+    }
+
+    /**
+     * Validate and show the result inline - call before sending (or queueing) a write
+     * @param {Element} container - Form or modal body holding the inputs
+     * @param {Object} fieldIds - Detail key -> input id/name where they differ
+     * @returns {boolean} true when the payload can be sent
+     */
+    function check(endpoint, data, container, fieldIds = {}, context = {}) {
+        const { valid, details } = validate(endpoint, data, context);
+        showErrors(container, details, fieldIds);
+        return valid;
+    }
+
+    // ==========================================
+    // Inline Errors
+    // ==========================================
+
+    /**
+     * Mark each field in a details map (ours or the server's) and put its messages under it.
+     * Keys with no matching input are listed at the top of the container.
+     */
+    function showErrors(container, details, fieldIds = {}) {
+        clearErrors(container);
+        if (!details) return;
+
+        const unplaced = [];
+        Object.entries(details).forEach(([field, messages]) => {
+            const text = [].concat(messages).join(' ');
+            const input = findField(container, fieldIds[field] || field);
+            if (!input) {
+                unplaced.push(`${field.replace(/_/g, ' ')}: ${text}`);
+                return;
+            }
+
+            input.classList.add('invalid');
+            input.setAttribute('aria-invalid', 'true');
+            const error = document.createElement('div');
+            error.className = 'field-error';
+            error.dataset.for = input.id || input.name;
+            error.textContent = text;
+            (input.closest('.input-group') || input).insertAdjacentElement('afterend', error);
+        });
+
+        if (unplaced.length) {
+            const summary = document.createElement('div');
+            summary.className = 'field-error form-error';
+            summary.textContent = unplaced.join(' · ');
+            container.prepend(summary);
+        }
+
+        watchEdits(container);
+        const first = container.querySelector('.invalid');
+        if (first) first.focus();
+    }
+
+    function clearErrors(container) {
+        container.querySelectorAll('.field-error').forEach(el => el.remove());
+        container.querySelectorAll('.invalid').forEach(clearField);
+    }
+
+    function clearField(input) {
+        input.classList.remove('invalid');
+        input.removeAttribute('aria-invalid');
+    }
+
+    // Containers already clearing a field's error once it is edited
+    const watched = new WeakSet();
+
+    function watchEdits(container) {
+        if (watched.has(container)) return;
+        watched.add(container);
+
+        const onEdit = event => {
+            const input = event.target;
+            if (!input.classList || !input.classList.contains('invalid')) return;
+            clearField(input);
+            container.querySelectorAll('.field-error').forEach(el => {
+                if (el.dataset.for === (input.id || input.name)) el.remove();
+            });
+        };
+        container.addEventListener('input', onEdit);
+        container.addEventListener('change', onEdit);
+    }
+
+    function findField(container, key) {
+        const escaped = CSS.escape(key);
+        return container.querySelector(`#${escaped}`) || container.querySelector(`[name="${escaped}"]`);
+    }
+
+    // ==========================================
+    // Helpers
+    // ==========================================
+
+    /**
+     * Value at a dotted path ("tank_17p.feet", "updates.0.note")
+     */
+    function getPath(data, path) {
+        return path.split('.').reduce((node, key) => (node === null || node === undefined ? undefined : node[key]), data);
+    }
+
+    /**
+     * Dates as the forms send them: YYYY-MM-DD and MM/DD/YY as local days, datetime-local
+     * values as local times, anything else as ISO
+     */
+    function parseDate(value) {
+        const text = String(value);
+        let match = text.match(/^(\d{4})-(\d{2})-(\d{2})$/);
+        if (match) return new Date(Number(match[1]), Number(match[2]) - 1, Number(match[3]));
+
+        match = text.match(/^(\d{1,2})\/(\d{1,2})\/(\d{2}|\d{4})$/);
+        if (match) {
+            const year = match[3].length === 2 ? 2000 + Number(match[3]) : Number(match[3]);
+            return new Date(year, Number(match[1]) - 1, Number(match[2]));
+        }
+
+        const parsed = new Date(text);
+        return Number.isNaN(parsed.getTime()) ? null : parsed;
+    }
+
+    // ==========================================
+    // Public API
+    // ==========================================
+
+    return {
+        SCHEMAS,
+        validate,
+        check,
+        showErrors,
+        clearErrors
+    };
+})();
+
+// Export for module systems if available
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ORBValidate;
+}
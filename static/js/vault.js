@@ -0,0 +1,320 @@
+/**
+ * Oil Record Book Tool - Storage Encryption Module
+ * Sealing of sensitive record fields, shared by storage.js and the service worker.
+ * Each device has its own ECDH key pair: records are sealed to the public key, which is stored
+ * in the clear so saving works while locked. The private key is stored wrapped under the
+ * signed-in user's key from the server, which is only ever held in memory.
+ */
+
+const ORBVault = (function() {
+    const KEY_ENDPOINT = '/auth/api/storage-key';
+    const KEY_TIMEOUT = 5000;
+    const ALGORITHM = 'AES-GCM';
+    const IV_BYTES = 12;
+    const ECDH = { name: 'ECDH', namedCurve: 'P-256' };
+    const DEVICE_RECORD = 'device'; // name of the device key record in the vault store
+
+    // Fields encrypted at rest, per IndexedDB store. Everything else (ids, timestamps,
+    // endpoints, retry state, the whole API cache) stays readable without the key.
+    const SEALED_FIELDS = {
+        request_queue: ['data', 'headers'],
+        rejected_requests: ['data', 'headers', 'details', 'conflict'],
+        form_data: ['data']
+    };
+
+    // ==========================================
+    // Keys
+    // ==========================================
+
+    /**
+     * Ask the server for this user's storage keys
+     * @returns {Promise<{key: string, key_id: string, previous: Object|null}|null>} Base64 raw keys
+     *          (previous = the key before the last rotation), or null when signed out or unreachable
+     */
+    function fetchKeys() {
+        return requestKeys('GET', KEY_ENDPOINT);
+    }
+
+    /**
+     * Have the server replace this user's storage key; the old one comes back as previous
+     * @returns {Promise<Object|null>} Same shape as fetchKeys
+     */
+    function rotateKeys() {
+        return requestKeys('POST', `${KEY_ENDPOINT}/rotate`);
+    }
+
+    async function requestKeys(method, url) {
+        const controller = new AbortController();
+        const timeoutId = setTimeout(() => controller.abort(), KEY_TIMEOUT);
+
+        try {
+            const response = await fetch(url, {
+                method,
+                cache: 'no-store',
+                credentials: 'same-origin',
+                headers: { 'Accept': 'application/json' },
+                signal: controller.signal
+            });
+            if (response.redirected || !response.ok) return null;
+            const body = await response.json().catch(() => null);
+            return body && body.key && body.key_id ? body : null;
+        } catch (e) {
+            return null;
+        } finally {
+            clearTimeout(timeoutId);
+        }
+    }
+
+    /**
+     * Non-extractable CryptoKey from a base64 raw key (records sealed before device keys)
+     */
+    function importKey(rawKey) {
+        return crypto.subtle.importKey('raw', fromBase64(rawKey), ALGORITHM, false, ['encrypt', 'decrypt']);
+    }
+
+    /**
+     * HMAC key for signing exported backups, from the same per-user secret
+     */
+    function importSigningKey(rawKey) {
+        return crypto.subtle.importKey('raw', fromBase64(rawKey), { name: 'HMAC', hash: 'SHA-256' }, false, ['sign', 'verify']);
+    }
+
+    function importPublicKey(jwk) {
+        return crypto.subtle.importKey('jwk', jwk, ECDH, true, []);
+    }
+
+    /**
+     * Device private key wrapped under a server key, as stored in the device record
+     */
+    async function wrapPrivateKey(privateKey, serverKey) {
+        const wrappingKey = await crypto.subtle.importKey('raw', fromBase64(serverKey.key), ALGORITHM, false, ['wrapKey']);
+        const iv = crypto.getRandomValues(new Uint8Array(IV_BYTES));
+        const wrapped = await crypto.subtle.wrapKey('jwk', privateKey, wrappingKey, { name: ALGORITHM, iv });
+        return { wrappedKey: toBase64(new Uint8Array(wrapped)), iv: toBase64(iv), keyId: serverKey.key_id };
+    }
+
+    async function unwrapPrivateKey(device, serverKey, extractable) {
+        const wrappingKey = await crypto.subtle.importKey('raw', fromBase64(serverKey.key), ALGORITHM, false, ['unwrapKey']);
+        return crypto.subtle.unwrapKey(
+            'jwk',
+            fromBase64(device.wrappedKey),
+            wrappingKey,
+            { name: ALGORITHM, iv: fromBase64(device.iv) },
+            ECDH,
+            extractable,
+            ['deriveKey']
+        );
+    }
+
+    /**
+     * Keys for this session from the stored device record and the server's keys (either may be null).
+     * sealKey works from the device record alone; openKey needs the server key it was wrapped under.
+     * After a rotation the private key is rewrapped under the current key; without any device
+     * record (or one no server key opens any more) a new key pair is made when create is set.
+     * @returns {Promise<{sealKey, openKey, legacyKeys: Array, signingKeys: Array, device: Object|null}>}
+     *          device = a new or rewrapped device record the caller should store
+     */
+    async function openKeyring(device, serverKeys, { create = true } = {}) {
+        const ring = {
+            sealKey: device ? await importPublicKey(device.publicKey) : null,
+            openKey: null,
+            legacyKeys: [],
+            signingKeys: [],
+            device: null
+        };
+        if (!serverKeys) return ring;
+
+        const keys = [serverKeys, serverKeys.previous].filter(Boolean);
+        ring.legacyKeys = await Promise.all(keys.map(k => importKey(k.key)));
+        ring.signingKeys = await Promise.all(keys.map(k => importSigningKey(k.key)));
+
+        const wrappedUnder = device && keys.find(k => k.key_id === device.keyId);
+        if (wrappedUnder) {
+            const rotated = wrappedUnder !== serverKeys;
+            try {
+                ring.openKey = await unwrapPrivateKey(device, wrappedUnder, rotated);
+                if (rotated) {
+                    ring.device = { ...device, ...(await wrapPrivateKey(ring.openKey, serverKeys)) };
+                }
+                return ring;
+            } catch (e) {
+                console.warn('Could not unwrap device key:', e);
+            }
+        }
+        if (!create) return ring;
+
+        if (device) {
+            console.warn('Device key is no longer recoverable - records sealed to it stay locked');
+        }
+        const pair = await crypto.subtle.generateKey(ECDH, true, ['deriveKey']);
+        ring.sealKey = pair.publicKey;
+        ring.openKey = pair.privateKey;
+        ring.device = {
+            name: DEVICE_RECORD,
+            publicKey: await crypto.subtle.exportKey('jwk', pair.publicKey),
+            ...(await wrapPrivateKey(pair.privateKey, serverKeys))
+        };
+        return ring;
+    }
+
+    /**
+     * AES-GCM key shared between an ECDH private key and the other side's public key
+     */
+    function sharedKey(privateKey, publicKey) {
+        return crypto.subtle.deriveKey(
+            { name: 'ECDH', public: publicKey },
+            privateKey,
+            { name: ALGORITHM, length: 256 },
+            false,
+            ['encrypt', 'decrypt']
+        );
+    }
+
+    // ==========================================
+    // Signing
+    // ==========================================
+
+    /**
+     * Base64 HMAC-SHA-256 of a string
+     */
+    async function sign(key, text) {
+        const signature = await crypto.subtle.sign('HMAC', key, new TextEncoder().encode(text));
+        return toBase64(new Uint8Array(signature));
+    }
+
+    async function verify(key, text, signature) {
+        try {
+            return await crypto.subtle.verify('HMAC', key, fromBase64(signature), new TextEncoder().encode(text));
+        } catch (e) {
+            return false;
+        }
+    }
+
+    /**
+     * Hex SHA-256 of a string
+     */
+    async function digest(text) {
+        const hash = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(text));
+        return Array.from(new Uint8Array(hash), b => b.toString(16).padStart(2, '0')).join('');
+    }
+
+    // ==========================================
+    // Sealing
+    // ==========================================
+
+    /**
+     * Encrypt the given fields of a record into record.sealed; everything else stays readable
+     * (ids, timestamps, endpoint and retry state are needed without the key).
+     * Each record gets a one-off ECDH key whose public half (epk) is kept with it.
+     */
+    async function seal(sealKey, record, fields) {
+        const secret = {};
+        const open = { ...record };
+        fields.forEach(field => {
+            if (field in open) {
+                secret[field] = open[field];
+                delete open[field];
+            }
+        });
+
+        const ephemeral = await crypto.subtle.generateKey(ECDH, true, ['deriveKey']);
+        const key = await sharedKey(ephemeral.privateKey, sealKey);
+        const iv = crypto.getRandomValues(new Uint8Array(IV_BYTES));
+        const plaintext = new TextEncoder().encode(JSON.stringify(secret));
+        const ciphertext = await crypto.subtle.encrypt({ name: ALGORITHM, iv }, key, plaintext);
+
+        return {
+            ...open,
+            sealed: {
+                iv: toBase64(iv),
+                data: toBase64(new Uint8Array(ciphertext)),
+                epk: await crypto.subtle.exportKey('jwk', ephemeral.publicKey)
+            }
+        };
+    }
+
+    /**
+     * Decrypt record.sealed back into the record with a keyring from openKeyring. Records saved
+     * before encryption pass through; records sealed before device keys open with a server key.
+     * Throws if no key opens it or the data was tampered with.
+     */
+    async function unseal(ring, record) {
+        if (!record || !record.sealed) return record;
+
+        if (record.sealed.epk) {
+            if (!ring.openKey) throw new Error('Device key is locked');
+            const key = await sharedKey(ring.openKey, await importPublicKey(record.sealed.epk));
+            return decrypt(key, record);
+        }
+
+        for (const key of ring.legacyKeys) {
+            try {
+                return await decrypt(key, record);
+            } catch (e) {
+                // Try the next key
+            }
+        }
+        throw new Error('No key opens this record');
+    }
+
+    async function decrypt(key, record) {
+        const plaintext = await crypto.subtle.decrypt(
+            { name: ALGORITHM, iv: fromBase64(record.sealed.iv) },
+            key,
+            fromBase64(record.sealed.data)
+        );
+        const { sealed, ...open } = record;
+        return { ...open, ...JSON.parse(new TextDecoder().decode(plaintext)) };
+    }
+
+    /**
+     * Sealed to a device key (records sealed directly under a server key predate them)
+     */
+    function isDeviceSealed(record) {
+        return Boolean(record && record.sealed && record.sealed.epk);
+    }
+
+    function isSealed(record) {
+        return Boolean(record && record.sealed);
+    }
+
+    // ==========================================
+    // Encoding
+    // ==========================================
+
+    function toBase64(bytes) {
+        let binary = '';
+        bytes.forEach(b => {
+            binary += String.fromCharCode(b);
+        });
+        return btoa(binary);
+    }
+
+    function fromBase64(text) {
+        return Uint8Array.from(atob(text), c => c.charCodeAt(0));
+    }
+
+    // ==========================================
+    // Public API
+    // ==========================================
+
+    return {
+        SEALED_FIELDS,
+        DEVICE_RECORD,
+        fetchKeys,
+        rotateKeys,
+        openKeyring,
+        seal,
+        unseal,
+        isSealed,
+        isDeviceSealed,
+        sign,
+        verify,
+        digest
+    };
+})();
+
+// Export for module systems if available
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ORBVault;
+}
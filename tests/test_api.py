@@ -14,7 +14,7 @@ from app import create_app
 from models import (
     db, WeeklySounding, ORBEntry, DailyFuelTicket, ServiceTankConfig,
     StatusEvent, EquipmentStatus, OilLevel, HitchRecord, FuelTankSounding,
-    EQUIPMENT_LIST
+    IdempotencyKey, EQUIPMENT_LIST
 )
 
 
@@ -206,6 +206,7 @@ class TestTanksEndpoints:
         assert "orb_code" in tank_17p
         assert "capacity_gallons" in tank_17p
         assert "capacity_m3" in tank_17p
+        assert set(tank_17p["max_sounding"]) == {"feet", "inches"}
 
     def test_lookup_sounding_success(self, client):
         """Test successful sounding lookup."""
@@ -217,6 +218,18 @@ class TestTanksEndpoints:
         assert "m3" in data
         assert "feet" in data
         assert "inches" in data
+        assert "tables_version" in data
+
+    def test_get_sounding_tables(self, client):
+        """Test downloading the full sounding tables."""
+        response = client.get("/api/tanks/tables")
+        assert response.status_code == 200
+
+        data = response.get_json()
+        assert data["version"]
+        assert "17P" in data["tanks"]
+        assert "soundings" in data["tanks"]["17P"]
+        assert data["metadata"]["conversion_factor_gal_to_m3"] == 0.00378541
 
     def test_lookup_sounding_missing_params(self, client):
         """Test sounding lookup with missing parameters."""
@@ -664,6 +677,111 @@ class TestFuelTickets:
             assert response.status_code == 500
 
 
+class TestIdempotency:
+    """Test Idempotency-Key replay on write endpoints."""
+
+    TICKET = {
+        "ticket_date": "2025-12-15T08:00:00",
+        "meter_start": 12345.5,
+        "meter_end": 12567.2,
+        "engineer_name": "Test Engineer",
+    }
+
+    def test_repeated_key_replays_original_response(self, client, app, sample_service_tank):
+        """Test a retried fuel ticket is not inserted twice."""
+        with app.app_context():
+            db.session.add(sample_service_tank)
+            db.session.commit()
+
+        headers = {"Idempotency-Key": "ticket-key-1"}
+        first = client.post("/api/fuel-tickets", json=self.TICKET, headers=headers)
+        second = client.post("/api/fuel-tickets", json=self.TICKET, headers=headers)
+
+        assert first.status_code == 201
+        assert second.status_code == 201
+        assert second.get_json() == first.get_json()
+        assert second.headers.get("Idempotent-Replayed") == "true"
+        assert DailyFuelTicket.query.count() == 1
+
+    def test_different_keys_create_separate_records(self, client, app, sample_service_tank):
+        """Test distinct keys are processed independently."""
+        with app.app_context():
+            db.session.add(sample_service_tank)
+            db.session.commit()
+
+        client.post("/api/fuel-tickets", json=self.TICKET, headers={"Idempotency-Key": "a"})
+        second = dict(self.TICKET, meter_start=12567.2, meter_end=12700.0)
+        response = client.post("/api/fuel-tickets", json=second, headers={"Idempotency-Key": "b"})
+
+        assert response.status_code == 201
+        assert DailyFuelTicket.query.count() == 2
+
+    def test_failed_request_is_not_remembered(self, client, app, sample_service_tank):
+        """Test an error response does not block a corrected retry with the same key."""
+        headers = {"Idempotency-Key": "retry-after-error"}
+        response = client.post("/api/fuel-tickets", json=self.TICKET, headers=headers)
+        assert response.status_code == 400
+
+        with app.app_context():
+            db.session.add(sample_service_tank)
+            db.session.commit()
+
+        response = client.post("/api/fuel-tickets", json=self.TICKET, headers=headers)
+        assert response.status_code == 201
+
+    def test_key_reused_for_different_endpoint(self, client, app, sample_service_tank):
+        """Test a key cannot be replayed against another endpoint."""
+        with app.app_context():
+            db.session.add(sample_service_tank)
+            db.session.commit()
+
+        headers = {"Idempotency-Key": "shared-key"}
+        client.post("/api/fuel-tickets", json=self.TICKET, headers=headers)
+        response = client.post(
+            "/api/status-events",
+            json={"event_type": "sewage_pump", "event_date": "2025-12-15T10:00:00"},
+            headers=headers,
+        )
+        assert response.status_code == 422
+
+    def test_key_committed_without_response(self, client, app, sample_service_tank):
+        """Test a key whose write committed but whose response was lost is not processed again."""
+        with app.app_context():
+            db.session.add(sample_service_tank)
+            db.session.add(IdempotencyKey(
+                key="lost-response", user_id=MockUser.id, method="POST", path="/api/fuel-tickets"
+            ))
+            db.session.commit()
+
+        response = client.post(
+            "/api/fuel-tickets", json=self.TICKET, headers={"Idempotency-Key": "lost-response"}
+        )
+        assert response.status_code == 200
+        assert response.headers.get("Idempotent-Replayed") == "true"
+        assert DailyFuelTicket.query.count() == 0
+
+    def test_key_stored_with_write(self, client, app, sample_service_tank):
+        """Test the key and its response are on record once the write is committed."""
+        with app.app_context():
+            db.session.add(sample_service_tank)
+            db.session.commit()
+
+        response = client.post(
+            "/api/fuel-tickets", json=self.TICKET, headers={"Idempotency-Key": "stored-key"}
+        )
+        assert response.status_code == 201
+        stored = IdempotencyKey.query.filter_by(key="stored-key").one()
+        assert stored.status_code == 201
+        assert stored.response_body
+
+    def test_key_too_long(self, client):
+        """Test oversized keys are rejected."""
+        response = client.post(
+            "/api/fuel-tickets", json=self.TICKET, headers={"Idempotency-Key": "x" * 65}
+        )
+        assert response.status_code == 400
+
+
 class TestStatusEvents:
     """Test status events endpoints."""
 
@@ -911,6 +1029,38 @@ class TestEquipmentStatus:
         result = response.get_json()
         assert result["updated"] == 1  # Only valid entry processed
 
+    def test_update_equipment_bulk_stale_version(self, client):
+        """Test bulk update based on an outdated board is rejected with the differences."""
+        version = client.get("/api/equipment").headers["ETag"]
+        client.post("/api/equipment/bulk", json={
+            "updates": [{"equipment_id": "PME", "status": "issue", "note": "Oil leak"}],
+            "updated_by": "Other Engineer"
+        })
+
+        response = client.post("/api/equipment/bulk", json={
+            "updates": [{"equipment_id": "PME", "status": "online"}],
+            "updated_by": "Test Engineer"
+        }, headers={"If-Match": version})
+        assert response.status_code == 409
+
+        conflict = response.get_json()["conflict"]
+        assert conflict["version"] == response.headers["ETag"]
+        paths = {field["path"]: field for field in conflict["fields"]}
+        assert paths["updates.0.status"]["mine"] == "online"
+        assert paths["updates.0.status"]["theirs"] == "issue"
+        assert paths["updates.0.note"]["theirs"] == "Oil leak"
+
+    def test_update_equipment_bulk_current_version(self, client):
+        """Test bulk update with the current board version succeeds and returns the new one."""
+        version = client.get("/api/equipment").headers["ETag"]
+        response = client.post("/api/equipment/bulk", json={
+            "updates": [{"equipment_id": "PME", "status": "offline", "note": "Maintenance"}],
+            "updated_by": "Test Engineer"
+        }, headers={"If-Match": version})
+        assert response.status_code == 201
+        assert response.get_json()["version"] != version
+        assert client.get("/api/dashboard/full").get_json()["equipment_version"] == response.headers["ETag"]
+
 
 class TestFullDashboard:
     """Test full dashboard endpoint."""
@@ -930,6 +1080,7 @@ class TestFullDashboard:
         # Check structure with empty data
         assert data["slop_tanks"]["latest"] is None
         assert data["fuel"]["latest_ticket"] is None
+        assert data["fuel"]["forecast"] is None
         assert data["status_events"]["sewage"] is None
         assert data["status_events"]["potable"] is None
         assert len(data["equipment"]) == len(EQUIPMENT_LIST)
@@ -959,6 +1110,19 @@ class TestFullDashboard:
             # If it fails due to service issue, that's a known limitation
             assert response.status_code == 500
 
+    def test_full_dashboard_fuel_forecast(self, client, app, sample_hitch, sample_fuel_ticket):
+        """Test the endurance forecast counts tickets since the current hitch."""
+        with app.app_context():
+            db.session.add_all([sample_hitch, sample_fuel_ticket])
+            db.session.commit()
+
+        forecast = client.get("/api/dashboard/full").get_json()["fuel"]["forecast"]
+        assert forecast["starting_gallons"] == 49500
+        assert forecast["remaining_gallons"] == round(49500 - 221.7, 2)
+        assert forecast["daily_rate"] == 221.7
+        assert forecast["reserve_gallons"] == app.config["FUEL_RESERVE_GALLONS"]
+        assert len(forecast["history"]) == 2
+
 
 class TestOCRParsing:
     """Test OCR image parsing endpoint."""
@@ -1076,6 +1240,63 @@ class TestHitchManagement:
         assert result["vessel"] == "Updated Vessel"
         assert result["location"] == "Updated Location"
 
+    def test_update_hitch_bumps_version(self, client, app, sample_hitch):
+        """Test an edit with the current ETag succeeds and moves the version on."""
+        with app.app_context():
+            db.session.add(sample_hitch)
+            db.session.commit()
+            hitch_id = sample_hitch.id
+
+        response = client.get(f"/api/hitch/{hitch_id}")
+        assert response.get_json()["version"] == 1
+        etag = response.headers["ETag"]
+
+        response = client.put(f"/api/hitch/{hitch_id}", json={"location": "Guam"},
+                              headers={"If-Match": etag})
+        assert response.status_code == 200
+        assert response.get_json()["version"] == 2
+        assert response.headers["ETag"] != etag
+
+    def test_update_hitch_stale_version(self, client, app, sample_hitch):
+        """Test an edit based on an outdated version is rejected with the differing fields."""
+        with app.app_context():
+            db.session.add(sample_hitch)
+            db.session.commit()
+            hitch_id = sample_hitch.id
+
+        etag = client.get(f"/api/hitch/{hitch_id}").headers["ETag"]
+        client.put(f"/api/hitch/{hitch_id}", json={"location": "Guam", "draft_aft": {"feet": 14, "inches": 0}})
+
+        response = client.put(f"/api/hitch/{hitch_id}", json={
+            "location": "Norfolk",
+            "vessel": "USNS Test Vessel",
+            "draft_aft": {"feet": 13, "inches": 2}
+        }, headers={"If-Match": etag})
+        assert response.status_code == 409
+
+        conflict = response.get_json()["conflict"]
+        assert conflict["version"] == response.headers["ETag"]
+        paths = {field["path"]: field for field in conflict["fields"]}
+        assert set(paths) == {"location", "draft_aft.feet", "draft_aft.inches"}
+        assert paths["location"] == {"path": "location", "mine": "Norfolk", "theirs": "Guam"}
+
+        with app.app_context():
+            assert HitchRecord.query.get(hitch_id).location == "Guam"
+
+    def test_update_hitch_stale_version_same_values(self, client, app, sample_hitch):
+        """Test a stale edit that changes nothing the other edit touched still goes through."""
+        with app.app_context():
+            db.session.add(sample_hitch)
+            db.session.commit()
+            hitch_id = sample_hitch.id
+
+        etag = client.get(f"/api/hitch/{hitch_id}").headers["ETag"]
+        client.put(f"/api/hitch/{hitch_id}", json={"location": "Guam"})
+
+        response = client.put(f"/api/hitch/{hitch_id}", json={"location": "Guam"},
+                              headers={"If-Match": etag})
+        assert response.status_code == 200
+
     def test_start_new_hitch_missing_data(self, client):
         """Test starting new hitch without JSON."""
         response = client.post("/api/hitch/start")
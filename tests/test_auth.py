@@ -1,5 +1,6 @@
 """Authentication tests for Oil Record Book Tool."""
 
+import base64
 import pytest
 from datetime import datetime, UTC
 import json
@@ -160,6 +161,56 @@ class TestAuthRoutes:
         assert data['success'] is True
         assert data['user']['username'] == 'admin'
 
+    def test_storage_key_api(self, client, logged_in_admin):
+        """Test offline storage key is a stable 256-bit key, never cached."""
+        response = client.get('/auth/api/storage-key')
+        assert response.status_code == 200
+        assert response.headers['Cache-Control'] == 'no-store'
+        data = json.loads(response.data)
+        assert len(base64.b64decode(data['key'])) == 32
+        assert data['key_id']
+
+        again = json.loads(client.get('/auth/api/storage-key').data)
+        assert again['key'] == data['key']
+        assert again['key_id'] == data['key_id']
+
+    def test_storage_key_api_salted(self, app, client, logged_in_admin):
+        """Test the key is salted, with the unsalted key from before salts offered as previous."""
+        data = json.loads(client.get('/auth/api/storage-key').data)
+        assert data['previous'] is not None
+        assert data['previous']['key'] != data['key']
+
+        with app.app_context():
+            user = User.query.filter_by(username='admin').first()
+            assert len(user.storage_salt) == 64
+            assert user.storage_salt_previous == ''
+
+    def test_rotate_storage_key(self, client, logged_in_admin):
+        """Test rotation gives a new key and keeps the old one as previous."""
+        before = json.loads(client.get('/auth/api/storage-key').data)
+
+        response = client.post('/auth/api/storage-key/rotate')
+        assert response.status_code == 200
+        assert response.headers['Cache-Control'] == 'no-store'
+        rotated = json.loads(response.data)
+        assert rotated['key'] != before['key']
+        assert rotated['key_id'] != before['key_id']
+        assert rotated['previous'] == {'key': before['key'], 'key_id': before['key_id']}
+
+        after = json.loads(client.get('/auth/api/storage-key').data)
+        assert after == rotated
+
+    def test_rotate_storage_key_requires_login(self, client):
+        """Test the storage key can't be rotated without a session."""
+        response = client.post('/auth/api/storage-key/rotate')
+        assert response.status_code == 302
+
+    def test_storage_key_api_requires_login(self, client):
+        """Test offline storage key is not handed out without a session."""
+        response = client.get('/auth/api/storage-key')
+        assert response.status_code == 302
+        assert '/auth/login' in response.location
+
     def test_check_auth_api_authenticated(self, client, logged_in_admin):
         """Test auth check API when authenticated."""
         response = client.get('/auth/api/check-auth')
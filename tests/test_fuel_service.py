@@ -1,6 +1,7 @@
 """Tests for fuel service."""
 
 import pytest
+import re
 from datetime import datetime, timedelta, UTC
 from unittest.mock import MagicMock
 
@@ -137,6 +138,87 @@ class TestFuelService:
         assert summary["tickets_count"] == 1
         assert summary["total_gallons"] == 100.0
 
+    def test_forecast_endurance_no_tickets(self):
+        """Test forecast before any tickets has fuel but no projection."""
+        start = datetime(2025, 12, 1)
+        forecast = FuelService.forecast_endurance(50000.0, start, [], 20000.0)
+        assert forecast["remaining_gallons"] == 50000.0
+        assert forecast["daily_rate"] is None
+        assert forecast["empty_date"] is None
+        assert forecast["below_reserve"] is False
+        assert len(forecast["history"]) == 1
+
+    def test_forecast_endurance_projection(self):
+        """Test forecast ignores tickets before the hitch and projects from the latest ticket."""
+        start = datetime(2025, 12, 1)
+
+        tickets = []
+        for day, gallons in [(-1, 5000.0), (1, 1000.0), (2, 1000.0)]:
+            ticket = MagicMock()
+            ticket.consumption_gallons = gallons
+            ticket.ticket_date = start + timedelta(days=day)
+            tickets.append(ticket)
+
+        forecast = FuelService.forecast_endurance(10000.0, start, tickets, 2000.0)
+        assert forecast["used_gallons"] == 2000.0
+        assert forecast["remaining_gallons"] == 8000.0
+        assert forecast["daily_rate"] == 1000.0
+        assert forecast["trend"] == "steady"
+        assert forecast["days_remaining"] == 8.0
+        assert forecast["empty_date"] == (start + timedelta(days=10)).isoformat()
+        assert forecast["reserve_date"] == (start + timedelta(days=8)).isoformat()
+        assert [h["remaining_gallons"] for h in forecast["history"]] == [10000.0, 9000.0, 8000.0]
+
+    def test_forecast_endurance_rising_trend_and_reserve(self):
+        """Test a recent jump in burn shows as rising and low fuel flags the reserve."""
+        start = datetime(2025, 12, 1)
+
+        tickets = []
+        for day in range(1, 11):
+            ticket = MagicMock()
+            ticket.consumption_gallons = 100.0 if day <= 3 else 300.0
+            ticket.ticket_date = start + timedelta(days=day)
+            tickets.append(ticket)
+
+        forecast = FuelService.forecast_endurance(3000.0, start, tickets, 1000.0)
+        assert forecast["daily_rate"] == 300.0
+        assert forecast["trend"] == "rising"
+        assert forecast["remaining_gallons"] == 600.0
+        assert forecast["below_reserve"] is True
+        assert forecast["reserve_date"] == forecast["as_of"]
+
+    def test_forecast_endurance_rate_per_day_with_gap(self):
+        """Test a gap between tickets lowers the daily rate - it is per calendar day, not per ticket."""
+        start = datetime(2025, 12, 1)
+
+        tickets = []
+        for day in [1, 2, 6]:
+            ticket = MagicMock()
+            ticket.consumption_gallons = 1000.0
+            ticket.ticket_date = start + timedelta(days=day)
+            tickets.append(ticket)
+
+        forecast = FuelService.forecast_endurance(10000.0, start, tickets)
+        assert forecast["daily_rate"] == 500.0
+        assert forecast["days_remaining"] == 14.0
+        assert forecast["empty_date"] == (start + timedelta(days=20)).isoformat()
+
+    def test_forecast_endurance_several_tickets_one_day(self):
+        """Test two tickets on the same day count as that day's burn."""
+        start = datetime(2025, 12, 1)
+
+        tickets = []
+        for day, gallons in [(1, 1000.0), (2, 500.0), (2, 500.0)]:
+            ticket = MagicMock()
+            ticket.consumption_gallons = gallons
+            ticket.ticket_date = start + timedelta(days=day)
+            tickets.append(ticket)
+
+        forecast = FuelService.forecast_endurance(10000.0, start, tickets)
+        assert forecast["daily_rate"] == 1000.0
+        assert forecast["trend"] == "steady"
+        assert forecast["days_remaining"] == 8.0
+
     def test_service_tank_pairs_constant(self):
         """Test service tank pairs constant."""
         assert "7" in SERVICE_TANK_PAIRS
@@ -147,3 +229,10 @@ class TestFuelService:
         assert "18" in SERVICE_TANK_PAIRS
         assert len(SERVICE_TANK_PAIRS) == 6
 
+    def test_client_validation_tank_pairs_match(self):
+        """Test static/js/validation.js accepts exactly the server's tank pairs."""
+        source = (Path(__file__).parent.parent / "static" / "js" / "validation.js").read_text()
+        match = re.search(r"const SERVICE_TANK_PAIRS = \[([^\]]*)\]", source)
+        assert match is not None
+        assert re.findall(r"'([^']+)'", match.group(1)) == SERVICE_TANK_PAIRS
+
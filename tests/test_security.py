@@ -395,5 +395,27 @@ class TestCORSConfiguration:
         assert "Access-Control-Allow-Origin" in response.headers
 
 
+class TestServiceWorker:
+    """Test service worker and manifest delivery."""
+
+    def test_service_worker_served_from_root(self, client):
+        """Test service worker is served at /sw.js with root scope."""
+        response = client.get("/sw.js?v=1.0.0")
+
+        assert response.status_code == 200
+        assert "javascript" in response.content_type
+        assert response.headers.get("Service-Worker-Allowed") == "/"
+        assert response.headers.get("Cache-Control") == "no-cache"
+
+    def test_manifest_available(self, client):
+        """Test web app manifest is available for install."""
+        response = client.get("/static/manifest.webmanifest")
+
+        assert response.status_code == 200
+        manifest = json.loads(response.data)
+        assert manifest["display"] == "standalone"
+        assert manifest["start_url"] == "/"
+
+
 if __name__ == "__main__":
     pytest.main([__file__])
\ No newline at end of file
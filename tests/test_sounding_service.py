@@ -66,3 +66,19 @@ class TestSoundingService:
         assert "17P" in ids
         assert "17S" in ids
 
+    def test_version_is_stable(self, sounding_service):
+        """Test tables version is derived consistently from the file."""
+        tables_path = Path(__file__).parent.parent / "data" / "sounding_tables.json"
+        assert sounding_service.version
+        assert SoundingService(tables_path).version == sounding_service.version
+
+    def test_export_tables(self, sounding_service):
+        """Test exported tables match lookups."""
+        tables = sounding_service.export_tables()
+        assert tables["version"] == sounding_service.version
+        assert set(tables["tanks"]) == {"17P", "17S"}
+        row = next(
+            s for s in tables["tanks"]["17S"]["soundings"]
+            if s["feet"] == 1 and s["inches"] == 6
+        )
+        assert row["gallons"] == sounding_service.lookup("17S", 1, 6)["gallons"]